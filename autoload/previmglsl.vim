@@ -6,12 +6,22 @@ set cpo&vim
 
 let s:newline_character = "\n"
 let s:targets = [
+      \ 'twigl-classic',
+      \ 'twigl-classic-300es',
+      \ 'twigl-classic-mrt',
       \ 'twigl-geek',
       \ 'twigl-geeker',
       \ 'twigl-geekest',
       \ 'twigl-geek-300es',
       \ 'twigl-geeker-300es',
-      \ 'twigl-geekest-300es'
+      \ 'twigl-geekest-300es',
+      \ 'twigl-geek-mrt',
+      \ 'twigl-geeker-mrt',
+      \ 'twigl-geekest-mrt',
+      \ 'shadertoy',
+      \ 'shadertoy-300es',
+      \ 'glslsandbox',
+      \ 'glslcanvas'
       \]
 let s:opt_parser = vital#previmglsl#import('OptionParser').new()
 
@@ -20,9 +30,32 @@ function! s:compl_target(optlead, cmdline, cursorpos) " {{{
 endfunction " }}}
 call s:opt_parser.on('--target=TARGET', 'Target language', {'short' : '-t', 'completion' : function('s:compl_target')})
 
+let s:channel_count = 4
+let s:channel_filters = ['linear', 'nearest', 'mipmap']
+let s:channel_wraps = ['clamp', 'repeat', 'mirror']
+
+function! s:compl_channel_filter(optlead, cmdline, cursorpos) " {{{
+  return filter(copy(s:channel_filters), '!stridx(v:val, a:optlead)')
+endfunction " }}}
+
+function! s:compl_channel_wrap(optlead, cmdline, cursorpos) " {{{
+  return filter(copy(s:channel_wraps), '!stridx(v:val, a:optlead)')
+endfunction " }}}
+
+for s:i in range(s:channel_count)
+  call s:opt_parser.on('--channel' . s:i . '=PATH', 'Image or video file bound to channel ' . s:i, {'completion' : 'file'})
+  call s:opt_parser.on('--channel' . s:i . '-filter=FILTER', 'Texture filter of channel ' . s:i, {'completion' : function('s:compl_channel_filter')})
+  call s:opt_parser.on('--channel' . s:i . '-wrap=WRAP', 'Texture wrap mode of channel ' . s:i, {'completion' : function('s:compl_channel_wrap')})
+  call s:opt_parser.on('--[no-]channel' . s:i . '-vflip', 'Flip image of channel ' . s:i . ' vertically')
+endfor
+unlet s:i
+call s:opt_parser.on('--audio=PATH', 'Audio file played with the preview', {'completion' : 'file'})
+
 function! previmglsl#open(preview_html_file, options) abort " {{{
   let b:previmglsl_opened = 1
   let b:previmglsl_target = get(a:options, 'target', 'auto')
+  let b:previmglsl_channels = s:parse_channel_options(a:options)
+  let b:previmglsl_audio = has_key(a:options, 'audio') ? s:resolve_path(a:options.audio) : ''
   call previmglsl#refresh()
   if exists('g:previmglsl_open_cmd') && !empty(g:previmglsl_open_cmd)
     if has('win32') && g:previmglsl_open_cmd =~? 'firefox'
@@ -56,6 +89,43 @@ function! previmglsl#open(preview_html_file, options) abort " {{{
   augroup END
 endfunction " }}}
 
+function! s:parse_channel_options(options) abort " {{{
+  let channels = []
+  for i in range(s:channel_count)
+    let prefix = 'channel' . i
+    if !has_key(a:options, prefix)
+      continue
+    endif
+    let filter = get(a:options, prefix . '-filter', 'mipmap')
+    if index(s:channel_filters, filter) == -1
+      call s:echo_err('Invalid filter of channel ' . i . ': ' . filter)
+      let filter = 'mipmap'
+    endif
+    let wrap = get(a:options, prefix . '-wrap', 'repeat')
+    if index(s:channel_wraps, wrap) == -1
+      call s:echo_err('Invalid wrap mode of channel ' . i . ': ' . wrap)
+      let wrap = 'repeat'
+    endif
+    call add(channels, {
+          \ 'index': i,
+          \ 'src': s:resolve_path(a:options[prefix]),
+          \ 'filter': filter,
+          \ 'wrap': wrap,
+          \ 'vflip': get(a:options, prefix . '-vflip', 1),
+          \})
+  endfor
+  return channels
+endfunction " }}}
+
+" 相対パスは編集中のファイルのディレクトリを基準にする
+function! s:resolve_path(path) abort " {{{
+  let path = expand(a:path)
+  if path !~# '^\%(/\|\a:[/\\]\)'
+    let path = expand('%:p:h') . '/' . path
+  endif
+  return fnamemodify(path, ':p')
+endfunction " }}}
+
 function! s:exists_openbrowser() abort " {{{
   try
     call openbrowser#load()
@@ -92,6 +162,7 @@ endfunction " }}}
 
 " TODO: test(refresh_cssと同じように)
 function! previmglsl#refresh_js_function() abort " {{{
+  call s:copy_resource_files()
   let encoded_lines = split(iconv(s:function_template(), &encoding, 'utf-8'), s:newline_character)
   call writefile(encoded_lines, previmglsl#make_preview_file_path('js/content.js'))
 endfunction " }}}
@@ -116,10 +187,10 @@ function! s:preview_directory() abort " {{{
   return s:preview_base_dir . sha256(expand('%:p'))[:15] . '-' . getpid()
 endfunction " }}}
 
-function! previmglsl#make_preview_file_path(path) abort " {{{
-  let src = s:base_dir . '/_/' . a:path
+function! previmglsl#make_preview_file_path(path, ...) abort " {{{
+  let src = a:0 > 0 ? a:1 : s:base_dir . '/_/' . a:path
   let dst = s:preview_directory() . '/' . a:path
-  if !filereadable(dst)
+  if !filereadable(dst) || (a:0 > 0 && getftime(src) > getftime(dst))
     let dir = fnamemodify(dst, ':p:h')
 	if !isdirectory(dir)
       call mkdir(dir, 'p')
@@ -132,6 +203,32 @@ function! previmglsl#make_preview_file_path(path) abort " {{{
   return dst
 endfunction " }}}
 
+function! s:channel_file_path(channel) abort " {{{
+  return 'channel/' . a:channel.index . '-' . fnamemodify(a:channel.src, ':t')
+endfunction " }}}
+
+function! s:audio_file_path(src) abort " {{{
+  return 'audio/' . fnamemodify(a:src, ':t')
+endfunction " }}}
+
+function! s:copy_resource_files() abort " {{{
+  for channel in get(b:, 'previmglsl_channels', [])
+    if filereadable(channel.src)
+      call previmglsl#make_preview_file_path(s:channel_file_path(channel), channel.src)
+    else
+      call s:echo_err('File of channel ' . channel.index . ' is not readable: ' . channel.src)
+    endif
+  endfor
+  let audio = get(b:, 'previmglsl_audio', '')
+  if audio !=# ''
+    if filereadable(audio)
+      call previmglsl#make_preview_file_path(s:audio_file_path(audio), audio)
+    else
+      call s:echo_err('Audio file is not readable: ' . audio)
+    endif
+  endif
+endfunction " }}}
+
 function! previmglsl#cleanup_preview(dir) abort " {{{
   call delete(a:dir, 'rf')
 endfunction " }}}
@@ -173,6 +270,15 @@ function! s:function_template() abort " {{{
         \ 'function getTarget() {',
         \ printf('  return "%s";', b:previmglsl_target),
         \ '}',
+        \ 'function getChannels() {',
+        \ printf('  return %s;', s:channels_json()),
+        \ '}',
+        \ 'function getAudio() {',
+        \ printf('  return %s;', s:audio_json()),
+        \ '}',
+        \ 'function getTimeline() {',
+        \ printf('  return %s;', s:timeline_json()),
+        \ '}',
         \], s:newline_character)
 endfunction " }}}
 
@@ -254,6 +360,48 @@ function! previmglsl#wipe_cache_for_self() abort " {{{
   endfor
 endfunction " }}}
 
+function! s:channels_json() abort " {{{
+  if !exists('*json_encode')
+    return '[]'
+  endif
+  let channels = []
+  for channel in get(b:, 'previmglsl_channels', [])
+    call add(channels, {
+          \ 'index': channel.index,
+          \ 'path': s:channel_file_path(channel) . '?t=' . getftime(channel.src),
+          \ 'filter': channel.filter,
+          \ 'wrap': channel.wrap,
+          \ 'vflip': channel.vflip ? v:true : v:false,
+          \})
+  endfor
+  return json_encode(channels)
+endfunction " }}}
+
+function! s:audio_json() abort " {{{
+  let audio = get(b:, 'previmglsl_audio', '')
+  if audio ==# '' || !exists('*json_encode')
+    return 'null'
+  endif
+  return json_encode({'path': s:audio_file_path(audio) . '?t=' . getftime(audio)})
+endfunction " }}}
+
+" タイムラインはシェーダと同じディレクトリの「ファイル名.timeline.json」から読み込む
+function! s:timeline_json() abort " {{{
+  if !exists('*json_encode')
+    return 'null'
+  endif
+  let path = expand('%:p') . '.timeline.json'
+  let data = v:null
+  if filereadable(path)
+    try
+      let data = json_decode(join(readfile(path), "\n"))
+    catch
+      call s:echo_err('Timeline file is not valid JSON: ' . path)
+    endtry
+  endif
+  return json_encode({'fileName': fnamemodify(path, ':t'), 'data': data})
+endfunction " }}}
+
 function! previmglsl#options() abort " {{{
   if !exists('*json_encode')
     return '{}'
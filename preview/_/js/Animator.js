@@ -61,6 +61,11 @@
    * Class for calling functions at regular intervals.
    */
   return class Animator {
+    /**
+     * Time per frame to step while stopped (in milliseconds).
+     * @type {number}
+     */
+    static #defaultTimePerFrame = 1000.0 / 60.0;
     /**
      * High resolution timestamp when animation is started,
      * which the timestamp represents the time elapsed since Performance.timeOrigin (in milliseconds).
@@ -78,6 +83,31 @@
      * @type {number}
      */
     #totalElapsedTime;
+    /**
+     * High resolution timestamp from which elapsed time is added to #totalElapsedTime while animation is working.
+     * @type {number}
+     */
+    #baseTime;
+    /**
+     * Playback rate of time, which is negative for reverse playback.
+     * @type {number}
+     */
+    #rate;
+    /**
+     * Start of loop range (in milliseconds), or null if loop range is not set.
+     * @type {number}
+     */
+    #loopStart;
+    /**
+     * End of loop range (in milliseconds), or null if loop range is not set.
+     * @type {number}
+     */
+    #loopEnd;
+    /**
+     * Time advanced per frame in fixed timestep mode (in milliseconds), or null if the mode is disabled.
+     * @type {number}
+     */
+    #fixedTimePerFrame;
     /**
      * Elapsed time per one frame.
      * @type {number}
@@ -107,6 +137,11 @@
       this.#stopTime = 0.0;
       this.#timePerFrame = 0.0;
       this.#totalElapsedTime = 0.0;
+      this.#baseTime = 0.0;
+      this.#rate = 1.0;
+      this.#loopStart = null;
+      this.#loopEnd = null;
+      this.#fixedTimePerFrame = null;
       this.#smoothedTimePerFrame = 0.0;
       this.#frameCount = 0;
       this.#stop = null;
@@ -131,6 +166,7 @@
 
       this.#startTime = performance.now();
       this.#stopTime = this.#startTime;
+      this.#baseTime = this.#startTime;
       let prevTime = this.#startTime;
 
       let count = 0;
@@ -162,6 +198,7 @@
           prevTime = now;
 
           this.#smoothedTimePerFrame = updateSmoothedTimePerFrame(this.#timePerFrame);
+          this.#advanceFixedTimeStep();
 
           f(now, this.#timePerFrame, this.#smoothedTimePerFrame);
           this.#frameCount++;
@@ -178,6 +215,7 @@
           prevTime = now;
 
           this.#smoothedTimePerFrame = updateSmoothedTimePerFrame(this.#timePerFrame);
+          this.#advanceFixedTimeStep();
 
           f(now, this.#timePerFrame, this.#smoothedTimePerFrame);
           this.#frameCount++;
@@ -195,12 +233,12 @@
       if (this.isStopped) {
         return;
       }
+      this.#totalElapsedTime = this.totalElapsedTime;
       this.#stop();
       this.#stop = null;
       this.#timePerFrame = 0.0;
       this.#smoothedTimePerFrame = 0.0;
       this.#stopTime = performance.now();
-      this.#totalElapsedTime += this.#stopTime - this.#startTime;
     }
 
     /**
@@ -210,10 +248,49 @@
       const now = performance.now();
       this.#startTime = now;
       this.#stopTime = now;
+      this.#baseTime = now;
       this.#totalElapsedTime = 0.0;
       this.#frameCount = 0;
     }
 
+    /**
+     * Step time by the specified number of frames, which is mainly used while animation is stopped.
+     * Frame count is also increased or decreased.
+     * The time per frame is that of fixed timestep mode if enabled, otherwise that of the last frame.
+     * @param {number} count Number of frames, which is negative to step backward.
+     */
+    step(count) {
+      const timePerFrame = this.#fixedTimePerFrame !== null ? this.#fixedTimePerFrame
+        : this.#timePerFrame > 0.0 ? this.#timePerFrame
+        : Animator.#defaultTimePerFrame;
+      this.currentTime = this.currentTime + count * timePerFrame;
+      if (this.#fixedTimePerFrame === null) {
+        // Frame count follows time in fixed timestep mode.
+        this.#frameCount = Math.max(this.#frameCount + count, 0);
+      }
+    }
+
+    /**
+     * Set loop range. Time goes back to the start when it reaches the end, and vice versa in reverse playback.
+     * @param {number} start Start of loop range (in milliseconds).
+     * @param {number} end End of loop range (in milliseconds).
+     */
+    setLoopRange(start, end) {
+      if (!(start >= 0.0 && end > start)) {
+        throw new Error('Invalid loop range: ' + start + ' - ' + end);
+      }
+      this.#loopStart = start;
+      this.#loopEnd = end;
+    }
+
+    /**
+     * Clear loop range.
+     */
+    clearLoopRange() {
+      this.#loopStart = null;
+      this.#loopEnd = null;
+    }
+
     /**
      * Elapsed time from start of animation (in milliseconds).
      * @type {number}
@@ -235,7 +312,97 @@
      * @type {number}
      */
     get totalElapsedTime() {
-      return this.#totalElapsedTime + (this.isStopped ? 0.0 : performance.now() - this.#startTime);
+      if (this.isStopped || this.#fixedTimePerFrame !== null) {
+        return this.#totalElapsedTime;
+      }
+      return this.#totalElapsedTime + (performance.now() - this.#baseTime) * this.#rate;
+    }
+
+    /**
+     * Current time of animation (in milliseconds), which is wrapped into the loop range and is not negative.
+     * Setting this property seeks the animation.
+     * @type {number}
+     */
+    get currentTime() {
+      const time = this.totalElapsedTime;
+      if (this.#loopStart !== null) {
+        if (time < this.#loopStart || time >= this.#loopEnd) {
+          const length = this.#loopEnd - this.#loopStart;
+          this.#setTotalElapsedTime(this.#loopStart + ((time - this.#loopStart) % length + length) % length);
+        }
+      } else if (time < 0.0) {
+        this.#setTotalElapsedTime(0.0);
+      }
+      return this.totalElapsedTime;
+    }
+
+    set currentTime(value) {
+      this.#setTotalElapsedTime(Math.max(value, 0.0));
+      if (this.#fixedTimePerFrame !== null) {
+        // Keep frame count consistent with time so that seeking gives the same frame as playing.
+        this.#frameCount = Math.round(this.#totalElapsedTime / this.#fixedTimePerFrame);
+      }
+    }
+
+    /**
+     * Playback rate of time, which is negative for reverse playback.
+     * @type {number}
+     */
+    get rate() {
+      return this.#rate;
+    }
+
+    set rate(value) {
+      if (!Number.isFinite(value)) {
+        throw new Error('rate must be a finite number: ' + value);
+      }
+      // Accumulate elapsed time with the old rate.
+      this.#setTotalElapsedTime(this.totalElapsedTime);
+      this.#rate = value;
+    }
+
+    /**
+     * Frame rate of fixed timestep mode, or null if the mode is disabled.
+     * In the mode, time is advanced by exactly 1 / fixedFrameRate seconds (multiplied by rate) per frame
+     * regardless of the actual elapsed time, so that the result does not depend on the performance of the machine.
+     * @type {number}
+     */
+    get fixedFrameRate() {
+      return this.#fixedTimePerFrame === null ? null : 1000.0 / this.#fixedTimePerFrame;
+    }
+
+    set fixedFrameRate(value) {
+      if (value !== null && !(value > 0.0)) {
+        throw new Error('fixedFrameRate must be a positive number or null: ' + value);
+      }
+      // Accumulate elapsed time in the old mode.
+      this.#setTotalElapsedTime(this.totalElapsedTime);
+      this.#fixedTimePerFrame = value === null ? null : 1000.0 / value;
+    }
+
+    /**
+     * Get time of animation advanced per frame (in milliseconds), which is negative in reverse playback.
+     * It is constant in fixed timestep mode, otherwise it is that of the last frame.
+     * @type {number}
+     */
+    get timeStep() {
+      return (this.#fixedTimePerFrame !== null ? this.#fixedTimePerFrame : this.#timePerFrame) * this.#rate;
+    }
+
+    /**
+     * Get start of loop range (in milliseconds).
+     * @type {number}
+     */
+    get loopStart() {
+      return this.#loopStart;
+    }
+
+    /**
+     * Get end of loop range (in milliseconds).
+     * @type {number}
+     */
+    get loopEnd() {
+      return this.#loopEnd;
     }
 
     /**
@@ -271,13 +438,17 @@
     }
 
     /**
-     * Get frame count.
+     * Frame count.
      * @type {number}
      */
     get frameCount() {
       return this.#frameCount;
     }
 
+    set frameCount(value) {
+      this.#frameCount = Math.max(Math.floor(value), 0);
+    }
+
     /**
      * Get this animator is stopped.
      * @type {boolean}
@@ -286,6 +457,24 @@
       return this.#stop === null;
     }
 
+    /**
+     * Advance time by one frame in fixed timestep mode.
+     */
+    #advanceFixedTimeStep() {
+      if (this.#fixedTimePerFrame !== null) {
+        this.#totalElapsedTime += this.#fixedTimePerFrame * this.#rate;
+      }
+    }
+
+    /**
+     * Set total elapsed time and restart accumulating elapsed time from now.
+     * @param {number} value Total elapsed time (in milliseconds).
+     */
+    #setTotalElapsedTime(value) {
+      this.#totalElapsedTime = value;
+      this.#baseTime = performance.now();
+    }
+
     /**
      * noConflict() for non global.
      */
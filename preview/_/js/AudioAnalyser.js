@@ -0,0 +1,280 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the AudioAnalyser API
+  // and when executed as a simple <script>, it creates a AudioAnalyser global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeAudioAnalyser = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous AudioAnalyser global
+    // and initialize AudioAnalyser as a global.
+    const prevDefinition = global.AudioAnalyser;
+    global.AudioAnalyser = moduleDef();
+
+    // Add a noConflict function so AudioAnalyser can be removed from
+    // the global namespace.
+    global.AudioAnalyser.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.AudioAnalyser;
+      } else {
+        global.AudioAnalyser = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Audio file player which analyses the playing sound with WebAudio.
+   */
+  return class AudioAnalyser {
+    /**
+     * Audio context.
+     * @type {AudioContext}
+     */
+    #context;
+    /**
+     * Audio element which plays the audio file.
+     * @type {HTMLAudioElement}
+     */
+    #audio;
+    /**
+     * Analyser node connected to the audio element.
+     * @type {AnalyserNode}
+     */
+    #analyser;
+    /**
+     * Frequency data of the latest update.
+     * @type {Uint8Array}
+     */
+    #frequencyData;
+    /**
+     * Waveform data of the latest update.
+     * @type {Uint8Array}
+     */
+    #waveformData;
+    /**
+     * FFT and waveform data for 512x2 texture.
+     * @type {Uint8Array}
+     */
+    #textureData;
+    /**
+     * A flag whether audio file has been loaded or not.
+     * @type {boolean}
+     */
+    #isLoaded;
+
+    /**
+     * Create audio context and analyser.
+     * @param {number} fftSize FFT size of the analyser (optional, default: 1024).
+     */
+    constructor(fftSize) {
+      this.#context = new AudioContext();
+      this.#audio = new Audio();
+      this.#audio.loop = true;
+      this.#analyser = this.#context.createAnalyser();
+      this.#analyser.fftSize = typeof fftSize === 'undefined' ? 1024 : fftSize;
+      this.#context.createMediaElementSource(this.#audio).connect(this.#analyser);
+      this.#analyser.connect(this.#context.destination);
+      this.#frequencyData = new Uint8Array(this.#analyser.frequencyBinCount);
+      this.#waveformData = new Uint8Array(this.#analyser.fftSize);
+      this.#textureData = new Uint8Array(512 * 2).fill(128, 512);
+      this.#isLoaded = false;
+    }
+
+    /**
+     * Load audio file.
+     * @param {string} url URL of the audio file.
+     * @return {Promise} Promise which is resolved when the audio file is ready to play.
+     */
+    load(url) {
+      this.unload();
+      return new Promise((resolve, reject) => {
+        const onLoaded = () => {
+          this.#audio.removeEventListener('error', onError);
+          this.#isLoaded = true;
+          resolve();
+        };
+        const onError = () => {
+          this.#audio.removeEventListener('canplay', onLoaded);
+          reject(new Error('Failed to load audio file: ' + url));
+        };
+        this.#audio.addEventListener('canplay', onLoaded, {once: true});
+        this.#audio.addEventListener('error', onError, {once: true});
+        this.#audio.src = url;
+        this.#audio.load();
+      });
+    }
+
+    /**
+     * Stop playing and release the audio file.
+     */
+    unload() {
+      this.#audio.pause();
+      this.#audio.removeAttribute('src');
+      this.#audio.load();
+      this.#isLoaded = false;
+      this.#frequencyData.fill(0);
+      this.#waveformData.fill(128);
+      this.#textureData.fill(0, 0, 512);
+      this.#textureData.fill(128, 512);
+    }
+
+    /**
+     * Resume audio context, which must be called in a handler of user gesture at least once
+     * because of the autoplay policy of browsers.
+     */
+    resume() {
+      if (this.#context.state === 'suspended') {
+        this.#context.resume();
+      }
+    }
+
+    /**
+     * Start playing from the specified time.
+     * @param {number} time Time to start playing (in seconds), which is wrapped by the duration.
+     */
+    play(time) {
+      if (!this.#isLoaded) {
+        return;
+      }
+      this.seek(time);
+      this.#audio.play().catch(e => console.warn('Failed to play audio: ' + e.message));
+    }
+
+    /**
+     * Pause playing.
+     */
+    pause() {
+      this.#audio.pause();
+    }
+
+    /**
+     * Seek playing position.
+     * @param {number} time Time to seek (in seconds), which is wrapped by the duration.
+     */
+    seek(time) {
+      if (!this.#isLoaded) {
+        return;
+      }
+      const duration = this.#audio.duration;
+      this.#audio.currentTime = Number.isFinite(duration) && duration > 0 ? time % duration : time;
+    }
+
+    /**
+     * Read frequency data and waveform data of the current sound.
+     */
+    update() {
+      if (!this.#isLoaded) {
+        return;
+      }
+      this.#analyser.getByteFrequencyData(this.#frequencyData);
+      this.#analyser.getByteTimeDomainData(this.#waveformData);
+      this.#textureData.set(this.#frequencyData.subarray(0, 512), 0);
+      this.#textureData.set(this.#waveformData.subarray(0, 512), 512);
+    }
+
+    /**
+     * Get a flag whether audio file has been loaded or not.
+     * @type {boolean}
+     */
+    get isLoaded() {
+      return this.#isLoaded;
+    }
+
+    /**
+     * Get a flag whether audio is playing or not.
+     * @type {boolean}
+     */
+    get isPlaying() {
+      return this.#isLoaded && !this.#audio.paused;
+    }
+
+    /**
+     * Get current playing position (in seconds).
+     * @type {number}
+     */
+    get currentTime() {
+      return this.#audio.currentTime;
+    }
+
+    /**
+     * Get average of frequency data of the latest update in range of [0, 1].
+     * @type {number}
+     */
+    get volume() {
+      let sum = 0;
+      for (const value of this.#frequencyData) {
+        sum += value;
+      }
+      return sum / (this.#frequencyData.length * 255.0);
+    }
+
+    /**
+     * Get frequency data of the latest update.
+     * @type {Uint8Array}
+     */
+    get frequencyData() {
+      return this.#frequencyData;
+    }
+
+    /**
+     * Get waveform data of the latest update.
+     * @type {Uint8Array}
+     */
+    get waveformData() {
+      return this.#waveformData;
+    }
+
+    /**
+     * Get FFT and waveform data of the latest update for a 512x2 texture.
+     * The first 512 bytes are FFT and the rest are waveform.
+     * @type {Uint8Array}
+     */
+    get textureData() {
+      return this.#textureData;
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('AudioAnalyser.noConflict only works when AudioAnalyser is used as a global');
+    }
+  }
+});
@@ -0,0 +1,445 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the GifEncoder API
+  // and when executed as a simple <script>, it creates a GifEncoder global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeGifEncoder = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous GifEncoder global
+    // and initialize GifEncoder as a global.
+    const prevDefinition = global.GifEncoder;
+    global.GifEncoder = moduleDef();
+
+    // Add a noConflict function so GifEncoder can be removed from
+    // the global namespace.
+    global.GifEncoder.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.GifEncoder;
+      } else {
+        global.GifEncoder = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Encoder of an animated GIF.
+   *
+   * Each frame has its own palette of 256 colors quantized by median cut,
+   * and optionally dithered by Floyd-Steinberg.
+   */
+  return class GifEncoder {
+    /**
+     * Maximum number of colors in a palette.
+     * @type {number}
+     */
+    static #maxColors = 256;
+    /**
+     * Minimum code size of LZW, which is the bit depth of indices.
+     * @type {number}
+     */
+    static #minCodeSize = 8;
+    /**
+     * Width of image.
+     * @type {number}
+     */
+    #width;
+    /**
+     * Height of image.
+     * @type {number}
+     */
+    #height;
+    /**
+     * Encoded blocks of the file.
+     * @type {Array<Uint8Array>}
+     */
+    #blocks;
+    /**
+     * Total time of frames added so far (in milliseconds).
+     * @type {number}
+     */
+    #totalTime;
+    /**
+     * Total delay of frames written so far (in centiseconds).
+     * @type {number}
+     */
+    #totalDelay;
+    /**
+     * Number of frames.
+     * @type {number}
+     */
+    #frameCount;
+
+    /**
+     * Create encoder.
+     * @param {number} width Width of image.
+     * @param {number} height Height of image.
+     * @param {number} loopCount Number of loops, or 0 for infinite loop.
+     */
+    constructor(width, height, loopCount = 0) {
+      this.#width = width;
+      this.#height = height;
+      this.#blocks = [];
+      this.#totalTime = 0.0;
+      this.#totalDelay = 0;
+      this.#frameCount = 0;
+
+      const header = new Uint8Array(13);
+      const view = new DataView(header.buffer);
+      header.set(new TextEncoder().encode('GIF89a'), 0);
+      view.setUint16(6, width, true);
+      view.setUint16(8, height, true);
+      // No global color table.
+      header[10] = 0x00;
+      header[11] = 0;
+      header[12] = 0;
+      this.#blocks.push(header);
+
+      // NETSCAPE2.0 application extension to loop.
+      const application = new Uint8Array(19);
+      application.set([0x21, 0xff, 0x0b], 0);
+      application.set(new TextEncoder().encode('NETSCAPE2.0'), 3);
+      application.set([0x03, 0x01, loopCount & 0xff, (loopCount >> 8) & 0xff, 0x00], 14);
+      this.#blocks.push(application);
+    }
+
+    /**
+     * Add a frame.
+     * @param {Uint8ClampedArray} rgba Pixels of the frame in RGBA from top to bottom, e.g. data of ImageData.
+     * @param {number} duration Duration of the frame (in milliseconds).
+     * @param {boolean} dither Dither the frame or not.
+     */
+    addFrame(rgba, duration, dither = false) {
+      const width = this.#width;
+      const height = this.#height;
+      const palette = GifEncoder.#quantize(rgba, width * height);
+      const indices = GifEncoder.#mapToPalette(rgba, width, height, palette, dither);
+
+      // Delay is in centiseconds, so round the total to avoid drift.
+      this.#totalTime += duration;
+      const delay = Math.max(Math.round(this.#totalTime / 10.0) - this.#totalDelay, 0);
+      this.#totalDelay += delay;
+
+      const control = new Uint8Array(8);
+      control.set([0x21, 0xf9, 0x04, 0x00, delay & 0xff, (delay >> 8) & 0xff, 0x00, 0x00], 0);
+      this.#blocks.push(control);
+
+      const descriptor = new Uint8Array(10);
+      const view = new DataView(descriptor.buffer);
+      descriptor[0] = 0x2c;
+      view.setUint16(1, 0, true);
+      view.setUint16(3, 0, true);
+      view.setUint16(5, width, true);
+      view.setUint16(7, height, true);
+      // Local color table of 2^(7 + 1) colors.
+      descriptor[9] = 0x80 | 0x07;
+      this.#blocks.push(descriptor);
+
+      const colorTable = new Uint8Array(GifEncoder.#maxColors * 3);
+      colorTable.set(palette.subarray(0, Math.min(palette.length, colorTable.length)));
+      this.#blocks.push(colorTable);
+
+      this.#blocks.push(GifEncoder.#encodeLzw(indices));
+      this.#frameCount++;
+    }
+
+    /**
+     * Get the number of frames.
+     * @type {number}
+     */
+    get frameCount() {
+      return this.#frameCount;
+    }
+
+    /**
+     * Finish encoding.
+     * @return {Blob} GIF file.
+     */
+    finalize() {
+      return new Blob(this.#blocks.concat([new Uint8Array([0x3b])]), {type: 'image/gif'});
+    }
+
+    /**
+     * Make a palette of pixels by median cut on a histogram of 15 bit colors.
+     * @param {Uint8ClampedArray} rgba Pixels in RGBA.
+     * @param {number} pixelCount Number of pixels.
+     * @return {Uint8Array} Palette in RGB.
+     */
+    static #quantize(rgba, pixelCount) {
+      const histogram = new Uint32Array(32768);
+      // Sums of actual colors for each 15 bit color to average them precisely.
+      const sums = new Float64Array(32768 * 3);
+      for (let i = 0; i < pixelCount; i++) {
+        const key = GifEncoder.#colorKey(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+        histogram[key]++;
+        sums[key * 3] += rgba[i * 4];
+        sums[key * 3 + 1] += rgba[i * 4 + 1];
+        sums[key * 3 + 2] += rgba[i * 4 + 2];
+      }
+      const colors = [];
+      for (let key = 0; key < histogram.length; key++) {
+        if (histogram[key] > 0) {
+          colors.push(key);
+        }
+      }
+
+      const channelOf = (key, channel) => (key >> (10 - channel * 5)) & 0x1f;
+      const makeBox = (boxColors) => {
+        const min = [31, 31, 31];
+        const max = [0, 0, 0];
+        let population = 0;
+        for (const key of boxColors) {
+          for (let c = 0; c < 3; c++) {
+            const value = channelOf(key, c);
+            min[c] = Math.min(min[c], value);
+            max[c] = Math.max(max[c], value);
+          }
+          population += histogram[key];
+        }
+        const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+        const channel = ranges.indexOf(Math.max(...ranges));
+        return {colors: boxColors, population: population, channel: channel, range: ranges[channel]};
+      };
+
+      const boxes = [makeBox(colors)];
+      while (boxes.length < GifEncoder.#maxColors) {
+        // Split the box which has the largest range weighted by population.
+        let target = -1;
+        for (let i = 0; i < boxes.length; i++) {
+          if (boxes[i].colors.length > 1 && (target < 0 || boxes[i].range * boxes[i].population > boxes[target].range * boxes[target].population)) {
+            target = i;
+          }
+        }
+        if (target < 0) {
+          break;
+        }
+        const box = boxes[target];
+        box.colors.sort((a, b) => channelOf(a, box.channel) - channelOf(b, box.channel));
+        let half = 0;
+        let split = 1;
+        for (let i = 0; i < box.colors.length - 1; i++) {
+          half += histogram[box.colors[i]];
+          split = i + 1;
+          if (half * 2 >= box.population) {
+            break;
+          }
+        }
+        boxes.splice(target, 1, makeBox(box.colors.slice(0, split)), makeBox(box.colors.slice(split)));
+      }
+
+      const palette = new Uint8Array(boxes.length * 3);
+      boxes.forEach((box, i) => {
+        const sum = [0, 0, 0];
+        for (const key of box.colors) {
+          for (let c = 0; c < 3; c++) {
+            sum[c] += sums[key * 3 + c];
+          }
+        }
+        for (let c = 0; c < 3; c++) {
+          palette[i * 3 + c] = Math.round(sum[c] / Math.max(box.population, 1));
+        }
+      });
+      return palette;
+    }
+
+    /**
+     * Map pixels to indices of a palette.
+     * @param {Uint8ClampedArray} rgba Pixels in RGBA.
+     * @param {number} width Width of image.
+     * @param {number} height Height of image.
+     * @param {Uint8Array} palette Palette in RGB.
+     * @param {boolean} dither Diffuse errors by Floyd-Steinberg or not.
+     * @return {Uint8Array} Indices.
+     */
+    static #mapToPalette(rgba, width, height, palette, dither) {
+      const colorCount = palette.length / 3;
+      // Nearest index for each 15 bit color, which is -1 until looked up.
+      const cache = new Int16Array(32768).fill(-1);
+      const nearest = (r, g, b) => {
+        const key = GifEncoder.#colorKey(r, g, b);
+        if (cache[key] < 0) {
+          const cr = ((key >> 10) << 3) | 4;
+          const cg = (((key >> 5) & 0x1f) << 3) | 4;
+          const cb = ((key & 0x1f) << 3) | 4;
+          let best = 0;
+          let bestDistance = Infinity;
+          for (let i = 0; i < colorCount; i++) {
+            const dr = palette[i * 3] - cr;
+            const dg = palette[i * 3 + 1] - cg;
+            const db = palette[i * 3 + 2] - cb;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+              bestDistance = distance;
+              best = i;
+            }
+          }
+          cache[key] = best;
+        }
+        return cache[key];
+      };
+
+      const indices = new Uint8Array(width * height);
+      if (!dither) {
+        for (let i = 0; i < indices.length; i++) {
+          indices[i] = nearest(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+        }
+        return indices;
+      }
+
+      // Errors of the current and the next rows, with a margin on both sides.
+      let current = new Float32Array((width + 2) * 3);
+      let next = new Float32Array((width + 2) * 3);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          const e = (x + 1) * 3;
+          const r = Math.min(Math.max(rgba[i * 4] + current[e], 0), 255);
+          const g = Math.min(Math.max(rgba[i * 4 + 1] + current[e + 1], 0), 255);
+          const b = Math.min(Math.max(rgba[i * 4 + 2] + current[e + 2], 0), 255);
+          const index = nearest(r, g, b);
+          indices[i] = index;
+          for (let c = 0; c < 3; c++) {
+            const error = (c === 0 ? r : c === 1 ? g : b) - palette[index * 3 + c];
+            current[e + 3 + c] += error * 7.0 / 16.0;
+            next[e - 3 + c] += error * 3.0 / 16.0;
+            next[e + c] += error * 5.0 / 16.0;
+            next[e + 3 + c] += error * 1.0 / 16.0;
+          }
+        }
+        [current, next] = [next, current];
+        next.fill(0.0);
+      }
+      return indices;
+    }
+
+    /**
+     * Encode indices by variable length LZW into data sub-blocks.
+     * @param {Uint8Array} indices Indices.
+     * @return {Uint8Array} Minimum code size, data sub-blocks and the block terminator.
+     */
+    static #encodeLzw(indices) {
+      const minCodeSize = GifEncoder.#minCodeSize;
+      const clearCode = 1 << minCodeSize;
+      const endCode = clearCode + 1;
+
+      let bytes = new Uint8Array(Math.max(indices.length, 256));
+      let byteLength = 0;
+      let bitBuffer = 0;
+      let bitCount = 0;
+      const emit = (code, size) => {
+        bitBuffer |= code << bitCount;
+        bitCount += size;
+        while (bitCount >= 8) {
+          if (byteLength === bytes.length) {
+            const grown = new Uint8Array(bytes.length * 2);
+            grown.set(bytes);
+            bytes = grown;
+          }
+          bytes[byteLength++] = bitBuffer & 0xff;
+          bitBuffer >>>= 8;
+          bitCount -= 8;
+        }
+      };
+
+      let table = new Map();
+      let nextCode = endCode + 1;
+      let codeSize = minCodeSize + 1;
+      emit(clearCode, codeSize);
+      let prefix = indices[0];
+      for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        const code = table.get(key);
+        if (typeof code !== 'undefined') {
+          prefix = code;
+          continue;
+        }
+        emit(prefix, codeSize);
+        if (nextCode === 4096) {
+          emit(clearCode, codeSize);
+          table = new Map();
+          nextCode = endCode + 1;
+          codeSize = minCodeSize + 1;
+        } else {
+          if (nextCode >= (1 << codeSize)) {
+            codeSize++;
+          }
+          table.set(key, nextCode++);
+        }
+        prefix = indices[i];
+      }
+      emit(prefix, codeSize);
+      emit(endCode, codeSize);
+      if (bitCount > 0) {
+        emit(0, 8 - bitCount);
+      }
+
+      const blockCount = Math.ceil(byteLength / 255);
+      const result = new Uint8Array(1 + byteLength + blockCount + 1);
+      result[0] = minCodeSize;
+      let offset = 1;
+      for (let i = 0; i < byteLength; i += 255) {
+        const size = Math.min(byteLength - i, 255);
+        result[offset++] = size;
+        result.set(bytes.subarray(i, i + size), offset);
+        offset += size;
+      }
+      result[offset] = 0x00;
+      return result;
+    }
+
+    /**
+     * Get a key of 15 bit color.
+     * @param {number} r Red in [0, 255].
+     * @param {number} g Green in [0, 255].
+     * @param {number} b Blue in [0, 255].
+     * @return {number} Key.
+     */
+    static #colorKey(r, g, b) {
+      return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('GifEncoder.noConflict only works when GifEncoder is used as a global');
+    }
+  }
+});
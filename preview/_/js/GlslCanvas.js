@@ -0,0 +1,130 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the GlslCanvas API
+  // and when executed as a simple <script>, it creates a GlslCanvas global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeGlslCanvas = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous GlslCanvas global
+    // and initialize GlslCanvas as a global.
+    const prevDefinition = global.GlslCanvas;
+    global.GlslCanvas = moduleDef();
+
+    // Add a noConflict function so GlslCanvas can be removed from
+    // the global namespace.
+    global.GlslCanvas.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.GlslCanvas;
+      } else {
+        global.GlslCanvas = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * glslCanvas (The Book of Shaders) compatibility.
+   * @see {@link https://github.com/patriciogonzalezvivo/glslCanvas}
+   */
+  return class GlslCanvas {
+    /**
+     * Pass names corresponding to BUFFER_0 to BUFFER_3.
+     * @type {Array<string>}
+     */
+    static #bufferPassNames = ['BufferA', 'BufferB', 'BufferC', 'BufferD'];
+
+    /**
+     * Split glslCanvas fragment shader source into passes.
+     *
+     * glslCanvas renders the source with "#define BUFFER_N" for each BUFFER_N used in it,
+     * and the result is sampled by "uniform sampler2D u_bufferN".
+     * Finally the source is rendered without the definition to the canvas.
+     *
+     * @param {string} code glslCanvas fragment shader source.
+     * @return {Array<Object>} Pass definitions, or null if no buffers are used.
+     */
+    static splitBuffers(code) {
+      const indices = [...new Set([...code.matchAll(/\bBUFFER_([0-3])\b/g)].map(m => Number.parseInt(m[1])))].sort();
+      if (indices.length === 0) {
+        return null;
+      }
+
+      const bindings = {};
+      for (const i of indices) {
+        bindings['u_buffer' + i] = GlslCanvas.#bufferPassNames[i];
+      }
+
+      return [
+        ...indices.map(i => ({
+          name: GlslCanvas.#bufferPassNames[i],
+          fsSource: `#define BUFFER_${i}\n#line 1\n${code}`,
+          bindings: bindings
+        })),
+        {
+          name: 'Image',
+          fsSource: code,
+          bindings: bindings
+        }
+      ];
+    }
+
+    /**
+     * Vertex shader source code which provides "varying vec2 v_texcoord" in [0, 1].
+     * @type {string}
+     */
+    static get vsSource() {
+      return `attribute vec3 position;
+varying vec2 v_texcoord;
+void main(void)
+{
+  v_texcoord = position.xy * 0.5 + 0.5;
+  gl_Position = vec4(position, 1.0);
+}
+`;
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('GlslCanvas.noConflict only works when GlslCanvas is used as a global');
+    }
+  }
+});
@@ -86,9 +86,126 @@
     static #defaultUniformDict = {
       'time': 'u_time',
       'mouse': 'u_mouse',
+      'mouseState': 'u_mouseState',
+      'mouseButtons': 'u_mouseButtons',
+      'wheel': 'u_wheel',
+      'pointers': 'u_pointers',
+      'pointerCount': 'u_pointerCount',
       'resolution': 'u_resolution',
       'frameCount': 'u_frameCount',
-      'backBuffer': 'u_backBuffer'
+      'timeDelta': 'u_timeDelta',
+      'frameRate': 'u_frameRate',
+      'date': 'u_date',
+      'sampleRate': 'u_sampleRate',
+      'backBuffer': 'u_backBuffer',
+      'backBuffer0': 'u_backBuffer0',
+      'backBuffer1': 'u_backBuffer1',
+      'backBuffer2': 'u_backBuffer2',
+      'backBuffer3': 'u_backBuffer3',
+      'sound': 'u_sound',
+      'bufferA': 'u_bufferA',
+      'bufferB': 'u_bufferB',
+      'bufferC': 'u_bufferC',
+      'bufferD': 'u_bufferD',
+      'channel0': 'u_channel0',
+      'channel1': 'u_channel1',
+      'channel2': 'u_channel2',
+      'channel3': 'u_channel3',
+      'channelResolution': 'u_channelResolution',
+      'channel0Resolution': 'u_channel0Resolution',
+      'channel1Resolution': 'u_channel1Resolution',
+      'channel2Resolution': 'u_channel2Resolution',
+      'channel3Resolution': 'u_channel3Resolution',
+      'channelTime': 'u_channelTime',
+      'audio': 'u_audio',
+      'keyboard': 'u_keyboard'
+    };
+    /**
+     * Number of texture channels.
+     * @type {number}
+     */
+    static #channelCount = 4;
+    /**
+     * Width of audio texture, which is the number of FFT bins and waveform samples.
+     * @type {number}
+     */
+    static #audioTextureWidth = 512;
+    /**
+     * Height of audio texture, the first row is FFT and the second row is waveform.
+     * @type {number}
+     */
+    static #audioTextureHeight = 2;
+    /**
+     * Width of keyboard texture, which is the number of key codes.
+     * @type {number}
+     */
+    static #keyboardTextureWidth = 256;
+    /**
+     * Height of keyboard texture, the rows are held state, pressed state and toggle state.
+     * @type {number}
+     */
+    static #keyboardTextureHeight = 3;
+    /**
+     * Names of the passes which are rendered into off-screen buffers, in rendering order.
+     * @type {Array<string>}
+     */
+    static #bufferPassNames = ['BufferA', 'BufferB', 'BufferC', 'BufferD'];
+    /**
+     * Name of the pass which is rendered into the canvas.
+     * @type {string}
+     */
+    static #imagePassName = 'Image';
+    /**
+     * Name of the uniform variable injected into fragment shaders to offset gl_FragCoord for tiled rendering.
+     * @type {string}
+     */
+    static #tileOffsetName = 'glslQuadRenderer_tileOffset';
+    /**
+     * GLSL type names of WebGL type constants.
+     * The constants which are not defined in the context (e.g. of WebGL 2.0 in WebGL 1.0) are ignored.
+     * @type {Object}
+     */
+    static #typeNames = {
+      FLOAT: 'float',
+      FLOAT_VEC2: 'vec2',
+      FLOAT_VEC3: 'vec3',
+      FLOAT_VEC4: 'vec4',
+      INT: 'int',
+      INT_VEC2: 'ivec2',
+      INT_VEC3: 'ivec3',
+      INT_VEC4: 'ivec4',
+      UNSIGNED_INT: 'uint',
+      UNSIGNED_INT_VEC2: 'uvec2',
+      UNSIGNED_INT_VEC3: 'uvec3',
+      UNSIGNED_INT_VEC4: 'uvec4',
+      BOOL: 'bool',
+      BOOL_VEC2: 'bvec2',
+      BOOL_VEC3: 'bvec3',
+      BOOL_VEC4: 'bvec4',
+      FLOAT_MAT2: 'mat2',
+      FLOAT_MAT3: 'mat3',
+      FLOAT_MAT4: 'mat4',
+      FLOAT_MAT2x3: 'mat2x3',
+      FLOAT_MAT2x4: 'mat2x4',
+      FLOAT_MAT3x2: 'mat3x2',
+      FLOAT_MAT3x4: 'mat3x4',
+      FLOAT_MAT4x2: 'mat4x2',
+      FLOAT_MAT4x3: 'mat4x3',
+      SAMPLER_2D: 'sampler2D',
+      SAMPLER_3D: 'sampler3D',
+      SAMPLER_CUBE: 'samplerCube',
+      SAMPLER_2D_SHADOW: 'sampler2DShadow',
+      SAMPLER_2D_ARRAY: 'sampler2DArray',
+      SAMPLER_2D_ARRAY_SHADOW: 'sampler2DArrayShadow',
+      SAMPLER_CUBE_SHADOW: 'samplerCubeShadow',
+      INT_SAMPLER_2D: 'isampler2D',
+      INT_SAMPLER_3D: 'isampler3D',
+      INT_SAMPLER_CUBE: 'isamplerCube',
+      INT_SAMPLER_2D_ARRAY: 'isampler2DArray',
+      UNSIGNED_INT_SAMPLER_2D: 'usampler2D',
+      UNSIGNED_INT_SAMPLER_3D: 'usampler3D',
+      UNSIGNED_INT_SAMPLER_CUBE: 'usamplerCube',
+      UNSIGNED_INT_SAMPLER_2D_ARRAY: 'usampler2DArray'
     };
     /**
      * WebGL context of canvas.
@@ -96,25 +213,85 @@
      */
     #gl;
     /**
-     * Uniform variable locations.
-     * @type {Array}
+     * Uniform dictionary used at the last build.
+     * @type {Object}
+     */
+    #uniformDict;
+    /**
+     * Values of uniform variables, keyed by uniform variable name.
+     * @type {Object}
+     */
+    #uniformValues;
+    /**
+     * Built passes in rendering order, the last one is the image pass.
+     * @type {Array<Object>}
      */
-    #uniformLocations;
+    #passes;
     /**
      * A flag whether use back buffer in sahder or not.
      * @type {boolean}
      */
     #useBackBuffer;
+    /**
+     * Number of output colors of the image pass.
+     * @type {number}
+     */
+    #mrtCount;
     /**
      * Previout frame texture dictionary.
      * @type {Object}
      */
     #prevFrame;
+    /**
+     * Textures bound to channels, each element is null if no texture is bound.
+     * @type {Array<Object>}
+     */
+    #channels;
+    /**
+     * Texture of audio data.
+     * @type {WebGLTexture}
+     */
+    #audioTexture;
+    /**
+     * Texture of keyboard state.
+     * @type {WebGLTexture}
+     */
+    #keyboardTexture;
+    /**
+     * Internal format, format and type of off-screen buffer textures.
+     * @type {Object}
+     */
+    #bufferTextureFormat;
+    /**
+     * VBO of the quad.
+     * @type {WebGLBuffer}
+     */
+    #vbo;
+    /**
+     * IBO of the quad.
+     * @type {WebGLBuffer}
+     */
+    #ibo;
     /**
      * A flag whether shader has been already built or not.
      * @type {boolean}
      */
     #hasBuilt;
+    /**
+     * Offset of the rendered area in the whole image, which is added to gl_FragCoord.
+     * @type {Array<number>}
+     */
+    #tileOffset = [0.0, 0.0];
+    /**
+     * A flag whether the image pass is rendered into a floating point texture instead of the canvas.
+     * @type {boolean}
+     */
+    #floatOutput = false;
+    /**
+     * Floating point render target of the image pass while #floatOutput is true, otherwise null.
+     * @type {Object}
+     */
+    #floatTarget = null;
     /**
      * Cached compiled default GLSL ES 1.0 vertex shader.
      * @type {WebGLShader}
@@ -189,9 +366,10 @@
     /**
      * Create WebGL/WebGL2 context from specified canvas.
      * @param {HTMLCanvasElement} canvas Render target canvas.
+     * @param {Object} contextAttributes Context attributes which override the default ones (optional).
      */
-    constructor(canvas) {
-      const attrs = {alpha: false};
+    constructor(canvas, contextAttributes) {
+      const attrs = Object.assign({alpha: false}, contextAttributes);
       const gl = canvas.getContext('webgl2', attrs)
         || canvas.getContext('webgl', attrs)
         || canvas.getContext('experimental-webgl', attrs);
@@ -199,9 +377,18 @@
         throw new Error('WebGL 2.0 or WebGL is not supported.');
       }
       this.#gl = gl;
-      this.#uniformLocations = new Array(4);
+      this.#uniformDict = GlslQuadRenderer.#defaultUniformDict;
+      this.#uniformValues = {};
+      this.#passes = [];
       this.#useBackBuffer = false;
+      this.#mrtCount = 1;
       this.#prevFrame = null;
+      this.#channels = new Array(GlslQuadRenderer.#channelCount).fill(null);
+      this.#audioTexture = null;
+      this.#keyboardTexture = null;
+      this.#bufferTextureFormat = this.#detectBufferTextureFormat();
+      this.#vbo = this.#createVbo(GlslQuadRenderer.#vertices);
+      this.#ibo = this.#createIbo(GlslQuadRenderer.#triangles);
       this.#hasBuilt = false;
 
       this.#vertexShader = null;
@@ -218,8 +405,31 @@
      * Build shader program.
      * @param {string} fsSource Fragment shader source code.
      * @param {string} vsSource Vertex shader source code (optional).
+     * @param {Object} uniformDict Name dictionary of uniform variables (optional).
      */
     build(fsSource, vsSource, uniformDict) {
+      this.buildMultipass([{name: GlslQuadRenderer.#imagePassName, fsSource: fsSource}], vsSource, uniformDict);
+    }
+
+    /**
+     * Build shader programs of multiple passes.
+     *
+     * Each pass is an object which has following properties.
+     * - name: One of "BufferA", "BufferB", "BufferC", "BufferD" and "Image".
+     * - fsSource: Fragment shader source code.
+     * - bindings: Dictionary from sampler uniform name to pass name (optional).
+     *
+     * "BufferA" to "BufferD" are rendered into off-screen buffers in this order, and "Image" is rendered into the canvas.
+     * Each buffer can be sampled from any pass by the uniform of uniformDict.bufferA to uniformDict.bufferD,
+     * or by the sampler uniform specified in bindings.
+     * A pass reads the result of the current frame of a buffer rendered before it,
+     * otherwise the result of the previous frame.
+     *
+     * @param {Array<Object>} passes Pass definitions. Exactly one "Image" pass is required.
+     * @param {string} vsSource Vertex shader source code (optional).
+     * @param {Object} uniformDict Name dictionary of uniform variables (optional).
+     */
+    buildMultipass(passes, vsSource, uniformDict) {
       const gl = this.#gl;
 
       this.#vertexShader = null;
@@ -228,46 +438,79 @@
       this.#translatedFsSource = null;
       this.#hasBuilt = false;
 
-      let vs;
+      const passNames = [...GlslQuadRenderer.#bufferPassNames, GlslQuadRenderer.#imagePassName];
+      for (const pass of passes) {
+        if (passNames.indexOf(pass.name) === -1) {
+          throw new Error('Unknown pass name: ' + pass.name);
+        }
+        if (passes.filter(p => p.name === pass.name).length > 1) {
+          throw new Error('Duplicate pass name: ' + pass.name);
+        }
+        for (const [name, passName] of Object.entries(pass.bindings || {})) {
+          if (GlslQuadRenderer.#bufferPassNames.indexOf(passName) === -1 || !passes.some(p => p.name === passName)) {
+            throw new Error('Pass ' + pass.name + ': ' + name + ' is bound to unavailable buffer: ' + passName);
+          }
+        }
+      }
+      const sortedPasses = passNames
+        .map(name => passes.find(pass => pass.name === name))
+        .filter(pass => typeof pass !== 'undefined');
+      if (sortedPasses.length === 0 || sortedPasses[sortedPasses.length - 1].name !== GlslQuadRenderer.#imagePassName) {
+        throw new Error('Pass "' + GlslQuadRenderer.#imagePassName + '" is required.');
+      }
+
+      if (this.#mrtCount > 1 && !this.#isWebGL2()) {
+        throw new Error('Multiple render targets require WebGL 2.0.');
+      }
+
+      this.#uniformDict = Object.assign({}, GlslQuadRenderer.#defaultUniformDict, uniformDict);
+      this.#updateChannelResolution();
+
+      let vs = null;
       if (!!vsSource) {
         vs = this.#createShaderFromText(vsSource, gl.VERTEX_SHADER);
-        this.#vsSource = vsSource;
-      } else if (fsSource.match(/^\s*#\s*version\s+300\s+es/) !== null) {
-        vs = this.#getVertexShader300es();
-        this.#vsSource = GlslQuadRenderer.vsSource300es;
-      } else {
-        vs = this.#getVertexShader100es();
-        this.#vsSource = GlslQuadRenderer.vsSource100es;
       }
 
-      if (this.#extDebugShader !== null) {
-        this.#vertexShader = vs;
+      const builtPasses = [];
+      try {
+        for (const pass of sortedPasses) {
+          try {
+            builtPasses.push(this.#buildPass(pass, vs, vsSource));
+          } catch (e) {
+            if (sortedPasses.length > 1) {
+              e.message = pass.name + ':\n' + e.message;
+            }
+            throw e;
+          }
+        }
+      } catch (e) {
+        for (const builtPass of builtPasses) {
+          this.#deletePass(builtPass);
+        }
+        throw e;
       }
 
-      const fs = this.#createShaderFromText(fsSource, gl.FRAGMENT_SHADER);
-      this.#fsSource = fsSource;
-
-      const program = this.#createProgram(vs, fs);
+      for (const pass of this.#passes) {
+        this.#deletePass(pass);
+      }
+      this.#passes = builtPasses;
 
-      if (!uniformDict) {
-        uniformDict = GlslQuadRenderer.#defaultUniformDict;
+      const imagePass = builtPasses[builtPasses.length - 1];
+      for (const pass of builtPasses) {
+        pass.samplers = this.#resolveSamplers(pass);
       }
+      this.#vsSource = imagePass.vsSource;
+      this.#fsSource = imagePass.fsSource;
 
-      this.#uniformLocations[0] = gl.getUniformLocation(program, typeof uniformDict.time === 'undefined' ? GlslQuadRenderer.#defaultUniformDict.time : uniformDict.time);
-      this.#uniformLocations[1] = gl.getUniformLocation(program, typeof uniformDict.mouse === 'undefined' ? GlslQuadRenderer.#defaultUniformDict.mouse : uniformDict.mouse);
-      this.#uniformLocations[2] = gl.getUniformLocation(program, typeof uniformDict.resolution === 'undefined' ? GlslQuadRenderer.#defaultUniformDict.resolution : uniformDict.resolution);
-      this.#uniformLocations[3] = gl.getUniformLocation(program, typeof uniformDict.frameCount === 'undefined' ? GlslQuadRenderer.#defaultUniformDict.frameCount : uniformDict.frameCount);
       if (this.#useBackBuffer) {
-        gl.uniform1i(gl.getUniformLocation(program, typeof uniformDict.backBuffer === 'undefined' ? GlslQuadRenderer.#defaultUniformDict.backBuffer : uniformDict.backBuffer), 0);
         this.#prevFrame = this.#createFrameTexture(gl.drawingBufferWidth, gl.drawingBufferHeight);
       }
 
-      const attribLocation = gl.getAttribLocation(program, 'position');
-      gl.bindBuffer(gl.ARRAY_BUFFER, this.#createVbo(GlslQuadRenderer.#vertices));
-      gl.enableVertexAttribArray(attribLocation);
-      gl.vertexAttribPointer(attribLocation, 3, gl.FLOAT, false, 0, 0);
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.#vbo);
+      gl.enableVertexAttribArray(0);
+      gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 0, 0);
 
-      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.#createIbo(GlslQuadRenderer.#triangles));
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.#ibo);
 
       gl.disable(gl.DEPTH_TEST);
       gl.disable(gl.CULL_FACE);
@@ -277,7 +520,8 @@
 
       this.#hasBuilt = true;
       if (this.#extDebugShader !== null) {
-        this.#fragmentShader = fs;
+        this.#vertexShader = imagePass.vertexShader;
+        this.#fragmentShader = imagePass.fragmentShader;
       }
     }
 
@@ -289,13 +533,137 @@
      * @param {number} width Width of viewport.
      * @param {number} height Height of viewport.
      * @param {number} frameCount Frame count.
+     * @param {Object} customValues Dictionary from uniform variable name to its value (optional).
+     */
+    setUniforms(time, mx, my, width, height, frameCount, customValues) {
+      const uniformDict = this.#uniformDict;
+      const uniformValues = this.#uniformValues;
+      uniformValues[uniformDict.time] = [time];
+      uniformValues[uniformDict.mouse] = [mx, my];
+      uniformValues[uniformDict.resolution] = [width, height, 1.0];
+      uniformValues[uniformDict.frameCount] = [frameCount];
+      if (typeof customValues !== 'undefined') {
+        Object.assign(uniformValues, customValues);
+      }
+    }
+
+    /**
+     * Set value of a uniform variable.
+     * The value is converted to the type declared in the shader;
+     * lacking components are filled with zero and extra ones are dropped.
+     * Keys which are not in the uniform dictionary are ignored.
+     * @param {string} key Key of uniform dictionary, such as "timeDelta" or "date".
+     * @param {number|Array<number>} value Value of the uniform variable.
      */
-    setUniforms(time, mx, my, width, height, frameCount) {
+    setUniform(key, value) {
+      if (!(key in this.#uniformDict)) {
+        return;
+      }
+      this.#uniformValues[this.#uniformDict[key]] = value;
+    }
+
+    /**
+     * Set offset of the rendered area in the whole image, which is added to gl_FragCoord of all passes.
+     * To render an image larger than the canvas in tiles, set the resolution of setUniforms()
+     * to the size of the whole image and render each tile with its offset.
+     * Note that off-screen buffers and the back buffer hold only the current tile, see isTileable.
+     * @param {number} x Offset of X from the left (in pixels).
+     * @param {number} y Offset of Y from the bottom (in pixels).
+     */
+    setTileOffset(x, y) {
+      this.#tileOffset = [x, y];
+    }
+
+    /**
+     * Bind an image or a video to a texture channel.
+     * The texture of a video is not updated until updateChannel() is called.
+     *
+     * options may have following properties.
+     * - filter: "nearest", "linear" or "mipmap" (default: "mipmap").
+     * - wrap: "clamp", "repeat" or "mirror" (default: "repeat").
+     * - vflip: Flip the image vertically or not (default: true).
+     *
+     * @param {number} index Channel index.
+     * @param {TexImageSource} source Image or video to bind, or null to unbind.
+     * @param {Object} options Texture settings (optional).
+     */
+    setChannel(index, source, options) {
+      if (index < 0 || index >= GlslQuadRenderer.#channelCount) {
+        throw new Error('Channel index out of range: ' + index);
+      }
+
+      const gl = this.#gl;
+      const channel = this.#channels[index];
+      if (channel !== null) {
+        gl.deleteTexture(channel.texture);
+        this.#channels[index] = null;
+      }
+      if (source !== null) {
+        options = Object.assign({filter: 'mipmap', wrap: 'repeat', vflip: true}, options);
+        const width = source.naturalWidth || source.videoWidth || source.width;
+        const height = source.naturalHeight || source.videoHeight || source.height;
+        this.#channels[index] = {
+          texture: this.#createImageTexture(source, width, height, options),
+          source: source,
+          vflip: options.vflip,
+          useMipmap: options.filter === 'mipmap' && !this.#isNpotRestricted(width, height),
+          width: width,
+          height: height
+        };
+      }
+      this.#updateChannelResolution();
+    }
+
+    /**
+     * Upload the current image of the source bound to a texture channel again.
+     * Call this method every frame for a video.
+     * @param {number} index Channel index.
+     */
+    updateChannel(index) {
+      const channel = this.#channels[index];
+      if (channel === null) {
+        return;
+      }
       const gl = this.#gl;
-      gl.uniform1f(this.#uniformLocations[0], time);
-      gl.uniform2f(this.#uniformLocations[1], mx, my);
-      gl.uniform2f(this.#uniformLocations[2], width, height);
-      gl.uniform1f(this.#uniformLocations[3], frameCount);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, channel.texture);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, channel.vflip);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, channel.source);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+      if (channel.useMipmap) {
+        gl.generateMipmap(gl.TEXTURE_2D);
+      }
+    }
+
+    /**
+     * Set audio data which is sampled with uniformDict.audio.
+     * The texture is 512x2 and each texel has the value in the red channel;
+     * the first row is FFT and the second row is waveform, like the audio input of Shadertoy.
+     * @param {Uint8Array} data 1024 bytes of audio data, or null to unbind.
+     */
+    setAudioData(data) {
+      this.#audioTexture = this.#updateDataTexture(
+        this.#audioTexture,
+        GlslQuadRenderer.#audioTextureWidth,
+        GlslQuadRenderer.#audioTextureHeight,
+        data,
+        this.#gl.LINEAR);
+    }
+
+    /**
+     * Set keyboard state which is sampled with uniformDict.keyboard.
+     * The texture is 256x3 and the x coordinate is the key code;
+     * the red channel of the first row is 1.0 while the key is held down, that of the second row is 1.0
+     * only in the frame when the key is pressed, and that of the third row is toggled every time the key is pressed.
+     * @param {Uint8Array} data 768 bytes of keyboard state, or null to unbind.
+     */
+    setKeyboardData(data) {
+      this.#keyboardTexture = this.#updateDataTexture(
+        this.#keyboardTexture,
+        GlslQuadRenderer.#keyboardTextureWidth,
+        GlslQuadRenderer.#keyboardTextureHeight,
+        data,
+        this.#gl.NEAREST);
     }
 
     /**
@@ -308,23 +676,69 @@
 
       const query = this.#beginMeasurement();
 
-      if (this.#useBackBuffer) {
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.#prevFrame.texture);
+      if (this.#floatOutput && (this.#floatTarget === null || this.#floatTarget.width !== width || this.#floatTarget.height !== height)) {
+        if (this.#floatTarget !== null) {
+          this.#deleteRenderTarget(this.#floatTarget);
+        }
+        this.#floatTarget = this.#createRenderTarget(width, height, 1, {
+          internalFormat: gl.RGBA32F,
+          format: gl.RGBA,
+          type: gl.FLOAT
+        });
       }
+      const outputFramebuffer = this.#floatOutput ? this.#floatTarget.framebuffer : null;
 
       gl.viewport(0, 0, width, height);
-      gl.clear(gl.COLOR_BUFFER_BIT);
-      gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
 
-      if (this.#useBackBuffer) {
+      for (const pass of this.#passes) {
+        let target = null;
+        if (pass.targets !== null) {
+          // Resize off-screen buffer textures.
+          if (pass.targets[0].width !== width || pass.targets[0].height !== height) {
+            const count = pass.targets[0].textures.length;
+            for (const oldTarget of pass.targets) {
+              this.#deleteRenderTarget(oldTarget);
+            }
+            pass.targets = [this.#createRenderTarget(width, height, count), this.#createRenderTarget(width, height, count)];
+          }
+          // Write to the texture which is not read in this frame.
+          target = pass.targets[pass.current ^ 1];
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target === null ? outputFramebuffer : target.framebuffer);
+        gl.useProgram(pass.program);
+        this.#bindSamplers(pass);
+        this.#applyUniforms(pass);
+        if (pass.tileOffsetLocation !== null) {
+          gl.uniform2fv(pass.tileOffsetLocation, this.#tileOffset);
+        }
+
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
+
+        if (target !== null) {
+          pass.current ^= 1;
+          if (pass.name === GlslQuadRenderer.#imagePassName) {
+            // Show the first output of multiple render targets.
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, target.framebuffer);
+            gl.readBuffer(gl.COLOR_ATTACHMENT0);
+            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, outputFramebuffer);
+            gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+          }
+        }
+      }
+
+      // 8-bit back buffer texture cannot be copied from floating point output.
+      if (this.#useBackBuffer && !this.#floatOutput) {
         // Resize back buffer texture.
         if (this.#prevFrame.width !== width || this.#prevFrame.height !== height) {
+          gl.deleteTexture(this.#prevFrame.texture);
           this.#prevFrame = this.#createFrameTexture(width, height);
         }
         // Copy rendering result to back buffer texture.
-        // gl.activeTexture(gl.TEXTURE0);
-        // gl.bindTexture(gl.TEXTURE_2D, this.#prevFrame.texture);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.#prevFrame.texture);
         gl.copyTexImage2D(gl.TEXTURE_2D, 0, gl.RGB, 0, 0, width, height, 0);
       }
 
@@ -334,6 +748,120 @@
       this.#updateFrametime();
     }
 
+    /**
+     * Read RGBA pixels of the canvas.
+     * The drawing buffer is cleared after it is presented unless preserveDrawingBuffer is specified,
+     * so call this method just after render().
+     * @param {number} width Width of the area to read.
+     * @param {number} height Height of the area to read.
+     * @param {Uint8Array} pixels Buffer to store pixels (optional).
+     * @return {Uint8Array} RGBA pixels from the bottom row to the top row.
+     */
+    readPixels(width, height, pixels) {
+      const gl = this.#gl;
+      if (typeof pixels === 'undefined') {
+        pixels = new Uint8Array(width * height * 4);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      return pixels;
+    }
+
+    /**
+     * Read RGBA pixels of the floating point output, which are not clamped to [0, 1].
+     * Call this method after render() while floatOutput is true.
+     * @param {number} width Width of the area to read.
+     * @param {number} height Height of the area to read.
+     * @return {Promise<Float32Array>} RGBA pixels from the top row to the bottom row.
+     */
+    async readFloatPixels(width, height) {
+      if (this.#floatTarget === null) {
+        throw new Error('Floating point output has not been rendered.');
+      }
+      const gl = this.#gl;
+      const pixels = new Float32Array(width * height * 4);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.#floatTarget.framebuffer);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, pixels);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      // Flip rows, since the origin of WebGL is the bottom-left corner.
+      const rowLength = width * 4;
+      const row = new Float32Array(rowLength);
+      for (let y = 0; y < height >> 1; y++) {
+        const top = pixels.subarray(y * rowLength, (y + 1) * rowLength);
+        const bottom = pixels.subarray((height - 1 - y) * rowLength, (height - y) * rowLength);
+        row.set(top);
+        top.set(bottom);
+        bottom.set(row);
+      }
+      return pixels;
+    }
+
+    /**
+     * Inspect active variables of the built passes and their current values.
+     *
+     * The result has following properties.
+     * - passes: Array of name, attributes and uniforms of each pass.
+     *   An attribute has name, type and size, which is the array length.
+     *   A uniform additionally has value and isSupplied, which is false if no value is given to it.
+     *   The value of a sampler is the key of the uniform dictionary or the name of the bound pass.
+     * - unusedUniforms: Names of uniforms which are given values but are not declared in any pass.
+     *
+     * @return {Object} Active variables of the passes.
+     */
+    inspect() {
+      if (this.#passes.length === 0) {
+        return {passes: [], unusedUniforms: []};
+      }
+
+      const uniformDict = this.#uniformDict;
+      const passes = this.#passes.map(pass => ({
+        name: pass.name,
+        attributes: Object.entries(pass.attributes).map(([name, attribute]) => ({
+          name: name,
+          type: this.#getTypeName(attribute.type),
+          size: attribute.size
+        })),
+        uniforms: Object.entries(pass.uniforms).map(([name, uniform]) => {
+          const type = this.#getTypeName(uniform.type);
+          if (type.indexOf('sampler') === -1) {
+            const value = this.#uniformValues[name];
+            return {
+              name: name,
+              type: type,
+              size: uniform.size,
+              value: typeof value === 'undefined' ? null : value,
+              isSupplied: typeof value !== 'undefined'
+            };
+          }
+          const getTexture = this.#getTextureGetter(pass, name);
+          const key = Object.keys(uniformDict).find(key => uniformDict[key] === name);
+          return {
+            name: name,
+            type: type,
+            size: uniform.size,
+            value: name in pass.bindings ? pass.bindings[name] : typeof key === 'undefined' ? null : key,
+            isSupplied: getTexture !== null && getTexture() !== null
+          };
+        })
+      }));
+
+      const declaredNames = new Set(passes.flatMap(pass => pass.uniforms.map(uniform => uniform.name)));
+      const imagePass = this.#passes[this.#passes.length - 1];
+      const suppliedNames = new Set(Object.keys(this.#uniformValues));
+      for (const name of Object.values(uniformDict)) {
+        const getTexture = this.#getTextureGetter(imagePass, name);
+        if (getTexture !== null && getTexture() !== null) {
+          suppliedNames.add(name);
+        }
+      }
+
+      return {
+        passes: passes,
+        unusedUniforms: Array.from(suppliedNames).filter(name => !declaredNames.has(name))
+      };
+    }
+
     /**
      * Enable measuring frametime.
      * @param {number} size Window size of moving average for frametime.
@@ -473,6 +1001,87 @@
       this.#useBackBuffer = value;
     }
 
+    /**
+     * Get a flag whether the image can be rendered in tiles by setTileOffset() or not.
+     * Off-screen buffers, the back buffer and previous frames of multiple render targets hold only the current tile,
+     * so the image is not rendered correctly in tiles if the built shader samples them.
+     * @return {boolean} True if the image can be rendered in tiles, otherwise false.
+     */
+    get isTileable() {
+      const uniformDict = this.#uniformDict;
+      const backBufferNames = Object.keys(uniformDict)
+        .filter(key => /^backBuffer[0-3]?$/.test(key))
+        .map(key => uniformDict[key]);
+      return this.#passes.length <= 1
+        && this.#passes.every(pass => backBufferNames.every(name => !(name in pass.uniforms)));
+    }
+
+    /**
+     * Get a flag whether the image pass is rendered into a floating point texture instead of the canvas.
+     * @return {boolean} True if rendered into a floating point texture, otherwise false.
+     */
+    get floatOutput() {
+      return this.#floatOutput;
+    }
+
+    /**
+     * Set a flag whether the image pass is rendered into a floating point texture instead of the canvas,
+     * whose pixels are read by readFloatPixels().
+     * It is available only if isFloatOutputSupported is true.
+     */
+    set floatOutput(value) {
+      if (value && !this.isFloatOutputSupported) {
+        throw new Error('Floating point output requires WebGL 2.0 and EXT_color_buffer_float.');
+      }
+      this.#floatOutput = value;
+      if (!value && this.#floatTarget !== null) {
+        this.#deleteRenderTarget(this.#floatTarget);
+        this.#floatTarget = null;
+      }
+    }
+
+    /**
+     * Get a flag whether floating point output is supported or not.
+     * @return {boolean} True if supported, otherwise false.
+     */
+    get isFloatOutputSupported() {
+      return this.#isWebGL2() && this.#gl.getExtension('EXT_color_buffer_float') !== null;
+    }
+
+    /**
+     * Get the number of output colors of the image pass.
+     * @return {number} Number of output colors.
+     */
+    get mrtCount() {
+      return this.#mrtCount;
+    }
+
+    /**
+     * Set the number of output colors of the image pass, which takes effect from the next build.
+     * If it is greater than 1, the image pass is rendered into multiple render targets
+     * and the first one is shown in the canvas.
+     * The previous frame of each output is sampled with uniformDict.backBuffer0 to uniformDict.backBuffer3.
+     * Multiple render targets are available only in WebGL 2.0.
+     */
+    set mrtCount(value) {
+      if (value < 1 || value > 4) {
+        throw new Error('mrtCount must be in range of 1 to 4: ' + value);
+      }
+      this.#mrtCount = value;
+    }
+
+    /**
+     * Get definitions of the built passes in rendering order.
+     * @return {Array<Object>} Array of name, fsSource and bindings of each pass.
+     */
+    get passes() {
+      return this.#passes.map(pass => ({
+        name: pass.name,
+        fsSource: pass.fsSource,
+        bindings: Object.assign({}, pass.bindings)
+      }));
+    }
+
     /**
      * Get a flag whether shader has been already built or not.
      * @return {boolean} True if shader has been already built, otherwise false.
@@ -481,6 +1090,14 @@
       return this.#hasBuilt;
     }
 
+    /**
+     * Get a flag whether the context is WebGL 2.0 or not.
+     * @return {boolean} True if the context is WebGL 2.0, otherwise false.
+     */
+    get isWebGL2() {
+      return this.#isWebGL2();
+    }
+
     /**
      * Get smoothed frametime.
      * @return {number} Frametime in nanoseconds.
@@ -557,6 +1174,242 @@
       return this.#defaultVs300es;
     }
 
+    /**
+     * Compile and link the program of a pass.
+     * @param {Object} pass Pass definition.
+     * @param {WebGLShader} customVs Compiled custom vertex shader, or null to use the default one.
+     * @param {string} customVsSource Source code of customVs.
+     * @return {Object} Built pass.
+     */
+    #buildPass(pass, customVs, customVsSource) {
+      const gl = this.#gl;
+
+      let vs;
+      let vsSource;
+      if (customVs !== null) {
+        vs = customVs;
+        vsSource = customVsSource;
+      } else if (pass.fsSource.match(/^\s*#\s*version\s+300\s+es/) !== null) {
+        vs = this.#getVertexShader300es();
+        vsSource = GlslQuadRenderer.vsSource300es;
+      } else {
+        vs = this.#getVertexShader100es();
+        vsSource = GlslQuadRenderer.vsSource100es;
+      }
+
+      const fs = this.#createShaderFromText(GlslQuadRenderer.#injectTileOffset(pass.fsSource), gl.FRAGMENT_SHADER);
+      const program = this.#createProgram(vs, fs);
+
+      // The injected uniform variable is not a part of the shader, so it is excluded from uniforms.
+      const tileOffsetLocation = gl.getUniformLocation(program, GlslQuadRenderer.#tileOffsetName);
+      const uniforms = {};
+      const nUniforms = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+      for (let i = 0; i < nUniforms; i++) {
+        const activeInfo = gl.getActiveUniform(program, i);
+        const name = activeInfo.name.replace(/\[0\]$/, '');
+        if (name === GlslQuadRenderer.#tileOffsetName) {
+          continue;
+        }
+        uniforms[name] = {
+          location: gl.getUniformLocation(program, name),
+          type: activeInfo.type,
+          size: activeInfo.size
+        };
+      }
+
+      const attributes = {};
+      const nAttributes = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+      for (let i = 0; i < nAttributes; i++) {
+        const activeInfo = gl.getActiveAttrib(program, i);
+        attributes[activeInfo.name] = {
+          location: gl.getAttribLocation(program, activeInfo.name),
+          type: activeInfo.type,
+          size: activeInfo.size
+        };
+      }
+
+      const isBufferPass = pass.name !== GlslQuadRenderer.#imagePassName;
+      const count = isBufferPass ? 1 : this.#mrtCount;
+      const width = gl.drawingBufferWidth;
+      const height = gl.drawingBufferHeight;
+
+      return {
+        name: pass.name,
+        vsSource: vsSource,
+        fsSource: pass.fsSource,
+        bindings: Object.assign({}, pass.bindings),
+        program: program,
+        vertexShader: vs,
+        fragmentShader: fs,
+        uniforms: uniforms,
+        attributes: attributes,
+        samplers: [],
+        tileOffsetLocation: tileOffsetLocation,
+        targets: isBufferPass || count > 1 ? [this.#createRenderTarget(width, height, count), this.#createRenderTarget(width, height, count)] : null,
+        current: 0
+      };
+    }
+
+    /**
+     * Release WebGL resources of a built pass.
+     * @param {Object} pass Built pass.
+     */
+    #deletePass(pass) {
+      const gl = this.#gl;
+      gl.deleteProgram(pass.program);
+      gl.deleteShader(pass.fragmentShader);
+      if (pass.targets !== null) {
+        for (const target of pass.targets) {
+          this.#deleteRenderTarget(target);
+        }
+      }
+    }
+
+    /**
+     * Determine textures to bind to the sampler uniforms of a pass.
+     * @param {Object} pass Built pass.
+     * @return {Array<Object>} Array of uniform location and function which returns texture to bind.
+     */
+    #resolveSamplers(pass) {
+      const gl = this.#gl;
+
+      const samplers = [];
+      for (const [name, uniform] of Object.entries(pass.uniforms)) {
+        if (uniform.type !== gl.SAMPLER_2D) {
+          continue;
+        }
+        samplers.push({
+          location: uniform.location,
+          getTexture: this.#getTextureGetter(pass, name) || (() => null)
+        });
+      }
+
+      return samplers;
+    }
+
+    /**
+     * Get the function which returns the texture to bind to a sampler uniform of a pass.
+     * @param {Object} pass Built pass.
+     * @param {string} name Name of the sampler uniform.
+     * @return {function} Function which returns texture or null, or null if no texture is assigned to the name.
+     */
+    #getTextureGetter(pass, name) {
+      const uniformDict = this.#uniformDict;
+      const key = Object.keys(uniformDict).find(key => uniformDict[key] === name);
+      let match;
+      if (name in pass.bindings || (match = /^buffer([A-D])$/.exec(key)) !== null) {
+        const passName = name in pass.bindings ? pass.bindings[name] : 'Buffer' + match[1];
+        const bufferPass = this.#passes.find(p => p.name === passName);
+        if (typeof bufferPass === 'undefined') {
+          return () => null;
+        }
+        return () => bufferPass.targets[bufferPass.current].textures[0];
+      } else if (key === 'backBuffer') {
+        return () => this.#useBackBuffer ? this.#prevFrame.texture : null;
+      } else if ((match = /^backBuffer([0-3])$/.exec(key)) !== null) {
+        const index = Number.parseInt(match[1]);
+        const imagePass = this.#passes[this.#passes.length - 1];
+        return () => imagePass.targets === null || index >= imagePass.targets[imagePass.current].textures.length ? null
+          : imagePass.targets[imagePass.current].textures[index];
+      } else if ((match = /^channel([0-3])$/.exec(key)) !== null) {
+        const index = Number.parseInt(match[1]);
+        return () => this.#channels[index] === null ? null : this.#channels[index].texture;
+      } else if (key === 'audio') {
+        return () => this.#audioTexture;
+      } else if (key === 'keyboard') {
+        return () => this.#keyboardTexture;
+      }
+      return null;
+    }
+
+    /**
+     * Get GLSL type name of a WebGL type constant.
+     * @param {number} type Type constant.
+     * @return {string} Type name, or hexadecimal string of the constant if unknown.
+     */
+    #getTypeName(type) {
+      const gl = this.#gl;
+      const typeNames = GlslQuadRenderer.#typeNames;
+      const key = Object.keys(typeNames).find(key => gl[key] === type);
+      return typeof key === 'undefined' ? '0x' + type.toString(16) : typeNames[key];
+    }
+
+    /**
+     * Bind textures to the sampler uniforms of a pass.
+     * The program of the pass must be in use.
+     * @param {Object} pass Built pass.
+     */
+    #bindSamplers(pass) {
+      const gl = this.#gl;
+      pass.samplers.forEach((sampler, unit) => {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, sampler.getTexture());
+        gl.uniform1i(sampler.location, unit);
+      });
+    }
+
+    /**
+     * Set values of uniform variables to the program of a pass according to their types.
+     * The program of the pass must be in use.
+     * @param {Object} pass Built pass.
+     */
+    #applyUniforms(pass) {
+      const gl = this.#gl;
+      const fit = GlslQuadRenderer.#fitArray;
+      for (const [name, uniform] of Object.entries(pass.uniforms)) {
+        const value = this.#uniformValues[name];
+        if (typeof value === 'undefined') {
+          continue;
+        }
+        const location = uniform.location;
+        const size = uniform.size;
+        switch (uniform.type) {
+          case gl.FLOAT:
+            gl.uniform1fv(location, fit(Float32Array, value, size));
+            break;
+          case gl.FLOAT_VEC2:
+            gl.uniform2fv(location, fit(Float32Array, value, 2 * size));
+            break;
+          case gl.FLOAT_VEC3:
+            gl.uniform3fv(location, fit(Float32Array, value, 3 * size));
+            break;
+          case gl.FLOAT_VEC4:
+            gl.uniform4fv(location, fit(Float32Array, value, 4 * size));
+            break;
+          case gl.INT:
+          case gl.BOOL:
+            gl.uniform1iv(location, fit(Int32Array, value, size));
+            break;
+          case gl.INT_VEC2:
+          case gl.BOOL_VEC2:
+            gl.uniform2iv(location, fit(Int32Array, value, 2 * size));
+            break;
+          case gl.INT_VEC3:
+          case gl.BOOL_VEC3:
+            gl.uniform3iv(location, fit(Int32Array, value, 3 * size));
+            break;
+          case gl.INT_VEC4:
+          case gl.BOOL_VEC4:
+            gl.uniform4iv(location, fit(Int32Array, value, 4 * size));
+            break;
+          case gl.UNSIGNED_INT:
+            gl.uniform1uiv(location, fit(Uint32Array, value, size));
+            break;
+          case gl.UNSIGNED_INT_VEC2:
+            gl.uniform2uiv(location, fit(Uint32Array, value, 2 * size));
+            break;
+          case gl.UNSIGNED_INT_VEC3:
+            gl.uniform3uiv(location, fit(Uint32Array, value, 3 * size));
+            break;
+          case gl.UNSIGNED_INT_VEC4:
+            gl.uniform4uiv(location, fit(Uint32Array, value, 4 * size));
+            break;
+          default:
+            break;
+        }
+      }
+    }
+
     /**
      * Compile shader source code.
      * @param {string} text Shader souce code.
@@ -587,6 +1440,7 @@
       const program = gl.createProgram();
       gl.attachShader(program, vs);
       gl.attachShader(program, fs);
+      gl.bindAttribLocation(program, 0, 'position');
       gl.linkProgram(program);
 
       if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
@@ -650,6 +1504,287 @@
       };
     }
 
+    /**
+     * Create texture from an image.
+     * @param {TexImageSource} source Image.
+     * @param {number} width Width of the image.
+     * @param {number} height Height of the image.
+     * @param {Object} options Dictionary of filter, wrap and vflip.
+     * @return {WebGLTexture} Created texture.
+     */
+    #createImageTexture(source, width, height, options) {
+      const gl = this.#gl;
+      const texture = gl.createTexture();
+
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, options.vflip);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+      const isNpotRestricted = this.#isNpotRestricted(width, height);
+
+      let filter = options.filter;
+      if (filter === 'mipmap' && isNpotRestricted) {
+        filter = 'linear';
+      }
+      switch (filter) {
+        case 'nearest':
+          gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+          gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+          break;
+        case 'linear':
+          gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+          gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+          break;
+        case 'mipmap':
+          gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+          gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+          gl.generateMipmap(gl.TEXTURE_2D);
+          break;
+        default:
+          throw new Error('Unknown texture filter: ' + options.filter);
+      }
+
+      let wrap;
+      switch (isNpotRestricted ? 'clamp' : options.wrap) {
+        case 'clamp':
+          wrap = gl.CLAMP_TO_EDGE;
+          break;
+        case 'repeat':
+          wrap = gl.REPEAT;
+          break;
+        case 'mirror':
+          wrap = gl.MIRRORED_REPEAT;
+          break;
+        default:
+          throw new Error('Unknown texture wrap mode: ' + options.wrap);
+      }
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
+
+      return texture;
+    }
+
+    /**
+     * Update values of the uniform variables of channel resolutions.
+     */
+    #updateChannelResolution() {
+      const values = new Float32Array(GlslQuadRenderer.#channelCount * 3);
+      this.#channels.forEach((channel, i) => {
+        if (channel !== null) {
+          values[i * 3] = channel.width;
+          values[i * 3 + 1] = channel.height;
+          values[i * 3 + 2] = 1.0;
+        }
+        this.#uniformValues[this.#uniformDict['channel' + i + 'Resolution']] = values.slice(i * 3, i * 3 + 3);
+      });
+      this.#uniformValues[this.#uniformDict.channelResolution] = values;
+    }
+
+    /**
+     * Create, update or delete a single channel texture of byte data.
+     * @param {WebGLTexture} texture Texture to update, or null to create new one.
+     * @param {number} width Width of the texture.
+     * @param {number} height Height of the texture.
+     * @param {Uint8Array} data Data of the texture, or null to delete the texture.
+     * @param {number} filter Filter of the texture, gl.LINEAR or gl.NEAREST.
+     * @return {WebGLTexture} Updated texture, or null if deleted.
+     */
+    #updateDataTexture(texture, width, height, data, filter) {
+      const gl = this.#gl;
+      if (data === null) {
+        if (texture !== null) {
+          gl.deleteTexture(texture);
+        }
+        return null;
+      }
+
+      gl.activeTexture(gl.TEXTURE0);
+      if (texture === null) {
+        texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, width, height, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, data);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      } else {
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.LUMINANCE, gl.UNSIGNED_BYTE, data);
+      }
+      return texture;
+    }
+
+    /**
+     * Create textures and framebuffer to render a pass off-screen.
+     * @param {number} width Width of textures.
+     * @param {number} height Height of textures.
+     * @param {number} count Number of textures, which are attached as color attachments in order.
+     * @param {Object} format Internal format, format and type of textures (optional, default: that of off-screen buffers).
+     * @return {Object} Dictionary of textures, framebuffer, its width and height.
+     */
+    #createRenderTarget(width, height, count, format = this.#bufferTextureFormat) {
+      const gl = this.#gl;
+
+      const framebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+
+      const textures = [];
+      for (let i = 0; i < count; i++) {
+        const texture = gl.createTexture();
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, format.internalFormat, width, height, 0, format.format, format.type, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, texture, 0);
+        textures.push(texture);
+      }
+      if (count > 1) {
+        gl.drawBuffers(textures.map((texture, i) => gl.COLOR_ATTACHMENT0 + i));
+      }
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      return {
+        textures: textures,
+        framebuffer: framebuffer,
+        width: width,
+        height: height
+      };
+    }
+
+    /**
+     * Release textures and framebuffer created by #createRenderTarget().
+     * @param {Object} target Dictionary of textures and framebuffer.
+     */
+    #deleteRenderTarget(target) {
+      const gl = this.#gl;
+      gl.deleteFramebuffer(target.framebuffer);
+      for (const texture of target.textures) {
+        gl.deleteTexture(texture);
+      }
+    }
+
+    /**
+     * Determine texture format of off-screen buffers.
+     * Use half float texture if it is renderable, otherwise 8-bit texture.
+     * @return {Object} Dictionary of internal format, format and type.
+     */
+    #detectBufferTextureFormat() {
+      const gl = this.#gl;
+      if (this.#isWebGL2() && gl.getExtension('EXT_color_buffer_float') !== null) {
+        return {
+          internalFormat: gl.RGBA16F,
+          format: gl.RGBA,
+          type: gl.HALF_FLOAT
+        };
+      }
+      return {
+        internalFormat: gl.RGBA,
+        format: gl.RGBA,
+        type: gl.UNSIGNED_BYTE
+      };
+    }
+
+    /**
+     * Determine mipmap and repeat are unavailable for a texture of specified size or not.
+     * WebGL 1.0 supports neither mipmap nor repeat for NPOT textures.
+     * @param {number} width Width of the texture.
+     * @param {number} height Height of the texture.
+     * @return {boolean} True if mipmap and repeat are unavailable, otherwise false.
+     */
+    #isNpotRestricted(width, height) {
+      const isPot = (width & (width - 1)) === 0 && (height & (height - 1)) === 0;
+      return !isPot && !this.#isWebGL2();
+    }
+
+    /**
+     * Determine the context is WebGL 2.0 or not.
+     * @return {boolean} True if the context is WebGL 2.0, otherwise false.
+     */
+    #isWebGL2() {
+      return typeof WebGL2RenderingContext !== 'undefined' && this.#gl instanceof WebGL2RenderingContext;
+    }
+
+    /**
+     * Create typed array of specified length from a value.
+     * Lacking elements are filled with zero and extra elements are dropped.
+     * @param {function} arrayType Constructor of typed array.
+     * @param {number|Array<number>} value Scalar value or array of values.
+     * @param {number} length Length of the array to create.
+     * @return {TypedArray} Created array.
+     */
+    static #fitArray(arrayType, value, length) {
+      const array = new arrayType(length);
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        array[0] = value;
+      } else {
+        array.set(value.length > length ? value.slice(0, length) : value);
+      }
+      return array;
+    }
+
+    /**
+     * Inject a uniform variable of the tile offset and a macro which adds it to gl_FragCoord into a fragment shader.
+     * They are inserted after #version and #extension directives preceding the first declaration,
+     * outside the conditional block containing them, and #line keeps line numbers of error messages.
+     * @param {string} fsSource Fragment shader source code.
+     * @return {string} Fragment shader source code with the injection.
+     */
+    static #injectTileOffset(fsSource) {
+      const lines = fsSource.split('\n');
+      let index = 0;
+      let isInComment = false;
+      let depth = 0;
+      let isPending = false;
+      for (let i = 0; i < lines.length; i++) {
+        // Strip comments, which may span lines, to find directives and the first declaration.
+        let code = '';
+        let rest = lines[i];
+        while (rest !== '') {
+          if (isInComment) {
+            const end = rest.indexOf('*/');
+            isInComment = end === -1;
+            rest = isInComment ? '' : rest.slice(end + 2);
+          } else {
+            const match = /\/\*|\/\//.exec(rest);
+            code += match === null ? rest : rest.slice(0, match.index) + ' ';
+            isInComment = match !== null && match[0] === '/*';
+            rest = isInComment ? rest.slice(match.index + 2) : '';
+          }
+        }
+        code = code.trim();
+        if (code !== '' && !code.startsWith('#')) {
+          break;
+        }
+        if (/^#\s*if/.test(code)) {
+          depth++;
+        } else if (/^#\s*endif\b/.test(code)) {
+          depth = Math.max(depth - 1, 0);
+        } else if (/^#\s*(version|extension)\b/.test(code)) {
+          isPending = true;
+        }
+        if (isPending && depth === 0 && !isInComment) {
+          index = i + 1;
+          isPending = false;
+        }
+      }
+      const name = GlslQuadRenderer.#tileOffsetName;
+      lines.splice(index, 0,
+        '#ifdef GL_FRAGMENT_PRECISION_HIGH',
+        'uniform highp vec2 ' + name + ';',
+        '#else',
+        'uniform mediump vec2 ' + name + ';',
+        '#endif',
+        '#define gl_FragCoord (gl_FragCoord + vec4(' + name + ', 0.0, 0.0))',
+        '#line ' + (index + 1));
+      return lines.join('\n');
+    }
+
     /**
      * Vertex shader source code for GLSL ES 1.0.
      * @type {string}
@@ -0,0 +1,95 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the GlslSandbox API
+  // and when executed as a simple <script>, it creates a GlslSandbox global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeGlslSandbox = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous GlslSandbox global
+    // and initialize GlslSandbox as a global.
+    const prevDefinition = global.GlslSandbox;
+    global.GlslSandbox = moduleDef();
+
+    // Add a noConflict function so GlslSandbox can be removed from
+    // the global namespace.
+    global.GlslSandbox.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.GlslSandbox;
+      } else {
+        global.GlslSandbox = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * glslsandbox compatibility.
+   * @see {@link https://github.com/mrdoob/glsl-sandbox}
+   */
+  return class GlslSandbox {
+    /**
+     * Vertex shader source code which provides "varying vec2 surfacePosition".
+     *
+     * surfacePosition is the position on the surface whose center is (0, 0) and height is 1,
+     * which is the initial surface of glslsandbox.
+     * Uniform of the surface size for the vertex shader is separated from "surfaceSize"
+     * in fragment shaders, because precisions of uniforms shared by both shaders must be the same.
+     * @type {string}
+     */
+    static get vsSource() {
+      return `attribute vec3 position;
+uniform highp vec2 glslsandbox_surfaceSize;
+varying vec2 surfacePosition;
+void main(void)
+{
+  surfacePosition = position.xy * glslsandbox_surfaceSize * 0.5;
+  gl_Position = vec4(position, 1.0);
+}
+`;
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('GlslSandbox.noConflict only works when GlslSandbox is used as a global');
+    }
+  }
+});
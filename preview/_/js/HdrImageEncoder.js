@@ -0,0 +1,193 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the HdrImageEncoder API
+  // and when executed as a simple <script>, it creates a HdrImageEncoder global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeHdrImageEncoder = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous HdrImageEncoder global
+    // and initialize HdrImageEncoder as a global.
+    const prevDefinition = global.HdrImageEncoder;
+    global.HdrImageEncoder = moduleDef();
+
+    // Add a noConflict function so HdrImageEncoder can be removed from
+    // the global namespace.
+    global.HdrImageEncoder.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.HdrImageEncoder;
+      } else {
+        global.HdrImageEncoder = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Encoder of high dynamic range images from linear floating point pixels.
+   */
+  return class HdrImageEncoder {
+    /**
+     * Encode pixels into an OpenEXR file.
+     * The file has R, G, B and A channels of 32-bit float in scanlines without compression.
+     * @param {Float32Array} pixels RGBA pixels from the top row to the bottom row.
+     * @param {number} width Width of image.
+     * @param {number} height Height of image.
+     * @return {Blob} OpenEXR file.
+     */
+    static encodeExr(pixels, width, height) {
+      // Channels must be sorted by name, and their data are stored in that order in each scanline.
+      const channels = [['A', 3], ['B', 2], ['G', 1], ['R', 0]];
+      const attributes = [];
+      const attribute = (name, type, size, write) => {
+        const value = new DataView(new ArrayBuffer(size));
+        write(value);
+        attributes.push(HdrImageEncoder.#nullTerminated(name), HdrImageEncoder.#nullTerminated(type), HdrImageEncoder.#int32(size), new Uint8Array(value.buffer));
+      };
+      attribute('channels', 'chlist', channels.length * 18 + 1, view => {
+        channels.forEach(([name], i) => {
+          const offset = i * 18;
+          view.setUint8(offset, name.charCodeAt(0));
+          // Pixel type: FLOAT.
+          view.setInt32(offset + 2, 2, true);
+          // Sampling of X and Y.
+          view.setInt32(offset + 10, 1, true);
+          view.setInt32(offset + 14, 1, true);
+        });
+      });
+      // NO_COMPRESSION.
+      attribute('compression', 'compression', 1, view => view.setUint8(0, 0));
+      for (const name of ['dataWindow', 'displayWindow']) {
+        attribute(name, 'box2i', 16, view => {
+          view.setInt32(8, width - 1, true);
+          view.setInt32(12, height - 1, true);
+        });
+      }
+      // INCREASING_Y.
+      attribute('lineOrder', 'lineOrder', 1, view => view.setUint8(0, 0));
+      attribute('pixelAspectRatio', 'float', 4, view => view.setFloat32(0, 1.0, true));
+      attribute('screenWindowCenter', 'v2f', 8, view => {});
+      attribute('screenWindowWidth', 'float', 4, view => view.setFloat32(0, 1.0, true));
+
+      // Magic number and version 2 of single-part scanline file.
+      const header = [new Uint8Array([0x76, 0x2f, 0x31, 0x01, 0x02, 0x00, 0x00, 0x00]), ...attributes, new Uint8Array(1)];
+      const headerSize = header.reduce((size, part) => size + part.length, 0);
+
+      const lineDataSize = width * channels.length * 4;
+      const lineSize = 8 + lineDataSize;
+      const offsets = new DataView(new ArrayBuffer(height * 8));
+      const firstLineOffset = headerSize + height * 8;
+      for (let y = 0; y < height; y++) {
+        offsets.setBigUint64(y * 8, BigInt(firstLineOffset + y * lineSize), true);
+      }
+
+      const lines = new DataView(new ArrayBuffer(height * lineSize));
+      for (let y = 0; y < height; y++) {
+        const lineOffset = y * lineSize;
+        lines.setInt32(lineOffset, y, true);
+        lines.setInt32(lineOffset + 4, lineDataSize, true);
+        channels.forEach(([, component], c) => {
+          const channelOffset = lineOffset + 8 + c * width * 4;
+          for (let x = 0; x < width; x++) {
+            lines.setFloat32(channelOffset + x * 4, pixels[(y * width + x) * 4 + component], true);
+          }
+        });
+      }
+
+      return new Blob([...header, new Uint8Array(offsets.buffer), new Uint8Array(lines.buffer)], {type: 'image/x-exr'});
+    }
+
+    /**
+     * Encode pixels into a Radiance HDR file of RGBE without run length encoding.
+     * Alpha is dropped and negative values are clamped to zero.
+     * @param {Float32Array} pixels RGBA pixels from the top row to the bottom row.
+     * @param {number} width Width of image.
+     * @param {number} height Height of image.
+     * @return {Blob} Radiance HDR file.
+     */
+    static encodeRgbe(pixels, width, height) {
+      const header = new TextEncoder().encode('#?RADIANCE\nFORMAT=32-bit_rle_rgbe\n\n-Y ' + height + ' +X ' + width + '\n');
+      const data = new Uint8Array(width * height * 4);
+      for (let i = 0; i < width * height; i++) {
+        const r = Math.max(pixels[i * 4], 0.0) || 0.0;
+        const g = Math.max(pixels[i * 4 + 1], 0.0) || 0.0;
+        const b = Math.max(pixels[i * 4 + 2], 0.0) || 0.0;
+        const v = Math.max(r, g, b);
+        if (v < 1e-32) {
+          continue;
+        }
+        // v = m * 2^e where m is in [0.5, 1).
+        const e = Math.floor(Math.log2(v)) + 1;
+        const scale = 256.0 / Math.pow(2.0, e);
+        data[i * 4] = Math.min(Math.floor(r * scale), 255);
+        data[i * 4 + 1] = Math.min(Math.floor(g * scale), 255);
+        data[i * 4 + 2] = Math.min(Math.floor(b * scale), 255);
+        data[i * 4 + 3] = Math.min(e + 128, 255);
+      }
+      return new Blob([header, data], {type: 'image/vnd.radiance'});
+    }
+
+    /**
+     * Encode a string with a null terminator.
+     * @param {string} value String.
+     * @return {Uint8Array} Encoded bytes.
+     */
+    static #nullTerminated(value) {
+      return new TextEncoder().encode(value + '\0');
+    }
+
+    /**
+     * Encode a 32-bit integer in little endian.
+     * @param {number} value Integer.
+     * @return {Uint8Array} Encoded bytes.
+     */
+    static #int32(value) {
+      const bytes = new Uint8Array(4);
+      new DataView(bytes.buffer).setInt32(0, value, true);
+      return bytes;
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('HdrImageEncoder.noConflict only works when HdrImageEncoder is used as a global');
+    }
+  }
+});
@@ -0,0 +1,149 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the KeyboardState API
+  // and when executed as a simple <script>, it creates a KeyboardState global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeKeyboardState = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous KeyboardState global
+    // and initialize KeyboardState as a global.
+    const prevDefinition = global.KeyboardState;
+    global.KeyboardState = moduleDef();
+
+    // Add a noConflict function so KeyboardState can be removed from
+    // the global namespace.
+    global.KeyboardState.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.KeyboardState;
+      } else {
+        global.KeyboardState = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Keyboard state of an element for a 256x3 texture, like the keyboard input of Shadertoy.
+   *
+   * The x coordinate of the texture is the key code and each row has following values.
+   * - Row 0: 255 while the key is held down.
+   * - Row 1: 255 only in the frame when the key is pressed.
+   * - Row 2: Toggled between 0 and 255 every time the key is pressed.
+   *
+   * Keys are captured only while the element has focus.
+   * Escape key releases focus and key combinations with Ctrl, Alt or Meta are not captured,
+   * so that shortcuts of the page and browser keep working.
+   */
+  return class KeyboardState {
+    /**
+     * Number of key codes.
+     * @type {number}
+     */
+    static #keyCount = 256;
+    /**
+     * State data for 256x3 texture.
+     * @type {Uint8Array}
+     */
+    #textureData;
+
+    /**
+     * Make the element focusable and start to capture keyboard events on it.
+     * @param {HTMLElement} element Element to capture keyboard events.
+     */
+    constructor(element) {
+      const keyCount = KeyboardState.#keyCount;
+      this.#textureData = new Uint8Array(keyCount * 3);
+
+      if (element.tabIndex < 0) {
+        element.tabIndex = 0;
+      }
+      element.addEventListener('keydown', e => {
+        if (e.key === 'Escape') {
+          element.blur();
+          return;
+        }
+        if (e.ctrlKey || e.altKey || e.metaKey || e.keyCode >= keyCount) {
+          return;
+        }
+        const data = this.#textureData;
+        if (data[e.keyCode] === 0) {
+          data[keyCount + e.keyCode] = 255;
+          data[keyCount * 2 + e.keyCode] ^= 255;
+        }
+        data[e.keyCode] = 255;
+        // Prevent scroll and shortcuts of the page.
+        e.preventDefault();
+      });
+      element.addEventListener('keyup', e => {
+        if (e.keyCode < keyCount) {
+          this.#textureData[e.keyCode] = 0;
+        }
+      });
+      element.addEventListener('blur', () => {
+        // Key up events are not delivered after focus is lost.
+        this.#textureData.fill(0, 0, keyCount * 2);
+      });
+    }
+
+    /**
+     * Clear the row of keys pressed in this frame.
+     * Call this method after rendering every frame.
+     */
+    nextFrame() {
+      const keyCount = KeyboardState.#keyCount;
+      this.#textureData.fill(0, keyCount, keyCount * 2);
+    }
+
+    /**
+     * Get state data for a 256x3 texture.
+     * @type {Uint8Array}
+     */
+    get textureData() {
+      return this.#textureData;
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('KeyboardState.noConflict only works when KeyboardState is used as a global');
+    }
+  }
+});
@@ -0,0 +1,330 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the PngEncoder API
+  // and when executed as a simple <script>, it creates a PngEncoder global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makePngEncoder = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous PngEncoder global
+    // and initialize PngEncoder as a global.
+    const prevDefinition = global.PngEncoder;
+    global.PngEncoder = moduleDef();
+
+    // Add a noConflict function so PngEncoder can be removed from
+    // the global namespace.
+    global.PngEncoder.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.PngEncoder;
+      } else {
+        global.PngEncoder = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Streaming encoder of a PNG image of 8 bit RGBA.
+   *
+   * Rows are compressed by CompressionStream as soon as they are added,
+   * so the whole image never has to be held uncompressed,
+   * and the size is not limited by the maximum size of canvas.
+   *
+   * It also reads and writes text chunks of existing PNG files.
+   */
+  return class PngEncoder {
+    /**
+     * PNG file signature.
+     * @type {Uint8Array}
+     */
+    static #signature = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    /**
+     * Maximum size of the data of an IDAT chunk.
+     * @type {number}
+     */
+    static #maxChunkDataSize = 1 << 20;
+    /**
+     * Table of CRC-32.
+     * @type {Uint32Array}
+     */
+    static #crcTable = null;
+    /**
+     * Width of image.
+     * @type {number}
+     */
+    #width;
+    /**
+     * Height of image.
+     * @type {number}
+     */
+    #height;
+    /**
+     * Number of rows added so far.
+     * @type {number}
+     */
+    #rowCount;
+    /**
+     * Writer of the compression stream.
+     * @type {WritableStreamDefaultWriter}
+     */
+    #writer;
+    /**
+     * Promise of the compressed data.
+     * @type {Promise<ArrayBuffer>}
+     */
+    #compressed;
+    /**
+     * Dictionary from keyword to text written into text chunks.
+     * @type {Object}
+     */
+    #texts;
+
+    /**
+     * Create encoder.
+     * @param {number} width Width of image.
+     * @param {number} height Height of image.
+     */
+    constructor(width, height) {
+      this.#width = width;
+      this.#height = height;
+      this.#rowCount = 0;
+      this.#texts = {};
+      // "deflate" is the zlib format, which is what IDAT chunks contain.
+      const stream = new CompressionStream('deflate');
+      this.#writer = stream.writable.getWriter();
+      this.#compressed = new Response(stream.readable).arrayBuffer();
+    }
+
+    /**
+     * Add rows of pixels.
+     * Rows are filtered by "Sub" filter, which works well for rendered images.
+     * @param {Uint8Array|Uint8ClampedArray} rgba Pixels in RGBA from top to bottom, whose length is a multiple of the row size.
+     * @return {Promise} Promise resolved when the rows are written.
+     */
+    async addRows(rgba) {
+      const rowSize = this.#width * 4;
+      const count = Math.floor(rgba.length / rowSize);
+      if (this.#rowCount + count > this.#height) {
+        throw new Error('Too many rows: ' + (this.#rowCount + count) + ' > ' + this.#height);
+      }
+      const filtered = new Uint8Array(count * (rowSize + 1));
+      for (let y = 0; y < count; y++) {
+        const src = y * rowSize;
+        const dst = y * (rowSize + 1);
+        filtered[dst] = 1;
+        for (let i = 0; i < rowSize; i++) {
+          filtered[dst + 1 + i] = rgba[src + i] - (i >= 4 ? rgba[src + i - 4] : 0);
+        }
+      }
+      this.#rowCount += count;
+      await this.#writer.write(filtered);
+    }
+
+    /**
+     * Add a text chunk.
+     * @param {string} keyword Keyword of 1 to 79 Latin-1 characters.
+     * @param {string} text Text.
+     */
+    addText(keyword, text) {
+      this.#texts[keyword] = text;
+    }
+
+    /**
+     * Get the number of rows added so far.
+     * @type {number}
+     */
+    get rowCount() {
+      return this.#rowCount;
+    }
+
+    /**
+     * Finish encoding after all rows are added.
+     * @return {Promise<Blob>} PNG file.
+     */
+    async finalize() {
+      if (this.#rowCount !== this.#height) {
+        throw new Error('Rows are not enough: ' + this.#rowCount + ' < ' + this.#height);
+      }
+      await this.#writer.close();
+      const compressed = new Uint8Array(await this.#compressed);
+
+      const header = new Uint8Array(13);
+      const view = new DataView(header.buffer);
+      view.setUint32(0, this.#width);
+      view.setUint32(4, this.#height);
+      // Bit depth 8, color type 6 (RGBA), deflate, adaptive filtering and no interlace.
+      header.set([8, 6, 0, 0, 0], 8);
+
+      const parts = [PngEncoder.#signature, ...PngEncoder.#chunk('IHDR', header)];
+      for (let i = 0; i < compressed.length; i += PngEncoder.#maxChunkDataSize) {
+        parts.push(...PngEncoder.#chunk('IDAT', compressed.subarray(i, i + PngEncoder.#maxChunkDataSize)));
+      }
+      for (const [keyword, text] of Object.entries(this.#texts)) {
+        parts.push(...PngEncoder.#textChunk(keyword, text));
+      }
+      parts.push(...PngEncoder.#chunk('IEND', new Uint8Array(0)));
+      return new Blob(parts, {type: 'image/png'});
+    }
+
+    /**
+     * Insert text chunks into a PNG file before IEND chunk.
+     * @param {Uint8Array} png PNG file.
+     * @param {Object} texts Dictionary from keyword to text.
+     * @return {Blob} PNG file with the text chunks.
+     */
+    static insertText(png, texts) {
+      // IEND chunk is the last 12 bytes.
+      const end = png.length - 12;
+      const parts = [png.subarray(0, end)];
+      for (const [keyword, text] of Object.entries(texts)) {
+        parts.push(...PngEncoder.#textChunk(keyword, text));
+      }
+      parts.push(png.subarray(end));
+      return new Blob(parts, {type: 'image/png'});
+    }
+
+    /**
+     * Read tEXt chunks and uncompressed iTXt chunks of a PNG file.
+     * @param {Uint8Array} png PNG file.
+     * @return {Object} Dictionary from keyword to text, or null if it is not a PNG file.
+     */
+    static readText(png) {
+      const signature = PngEncoder.#signature;
+      if (png.length < signature.length || signature.some((value, i) => png[i] !== value)) {
+        return null;
+      }
+      const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+      const latin1 = new TextDecoder('latin1');
+      const utf8 = new TextDecoder('utf-8');
+      const texts = {};
+      let offset = signature.length;
+      while (offset + 12 <= png.length) {
+        const length = view.getUint32(offset);
+        const type = latin1.decode(png.subarray(offset + 4, offset + 8));
+        const data = png.subarray(offset + 8, Math.min(offset + 8 + length, png.length));
+        const separator = data.indexOf(0);
+        if (type === 'tEXt' && separator > 0) {
+          texts[latin1.decode(data.subarray(0, separator))] = latin1.decode(data.subarray(separator + 1));
+        } else if (type === 'iTXt' && separator > 0 && data[separator + 1] === 0) {
+          // Skip the compression flag and method, the language tag and the translated keyword.
+          const languageEnd = data.indexOf(0, separator + 3);
+          const translatedEnd = languageEnd < 0 ? -1 : data.indexOf(0, languageEnd + 1);
+          if (translatedEnd >= 0) {
+            texts[latin1.decode(data.subarray(0, separator))] = utf8.decode(data.subarray(translatedEnd + 1));
+          }
+        } else if (type === 'IEND') {
+          break;
+        }
+        offset += 12 + length;
+      }
+      return texts;
+    }
+
+    /**
+     * Create a text chunk, which is tEXt if the text is printable ASCII, otherwise uncompressed iTXt of UTF-8.
+     * @param {string} keyword Keyword of 1 to 79 Latin-1 characters.
+     * @param {string} text Text.
+     * @return {Array<Uint8Array>} Length and type, data, and CRC of the chunk.
+     */
+    static #textChunk(keyword, text) {
+      const keywordBytes = Uint8Array.from(keyword.slice(0, 79), c => c.charCodeAt(0) & 0xff);
+      if (/^[\x20-\x7e\t\n\r]*$/.test(text)) {
+        const data = new Uint8Array(keywordBytes.length + 1 + text.length);
+        data.set(keywordBytes);
+        data.set(Uint8Array.from(text, c => c.charCodeAt(0)), keywordBytes.length + 1);
+        return PngEncoder.#chunk('tEXt', data);
+      }
+      const textBytes = new TextEncoder().encode(text);
+      // Keyword, null separator, compression flag and method, and empty language tag and translated keyword.
+      const data = new Uint8Array(keywordBytes.length + 5 + textBytes.length);
+      data.set(keywordBytes);
+      data.set(textBytes, keywordBytes.length + 5);
+      return PngEncoder.#chunk('iTXt', data);
+    }
+
+    /**
+     * Create a chunk.
+     * @param {string} type Chunk type of 4 characters.
+     * @param {Uint8Array} data Chunk data.
+     * @return {Array<Uint8Array>} Length and type, data, and CRC of the chunk.
+     */
+    static #chunk(type, data) {
+      const head = new Uint8Array(8);
+      new DataView(head.buffer).setUint32(0, data.length);
+      for (let i = 0; i < 4; i++) {
+        head[4 + i] = type.charCodeAt(i);
+      }
+      const crc = new Uint8Array(4);
+      new DataView(crc.buffer).setUint32(0, PngEncoder.#crc32(data, PngEncoder.#crc32(head.subarray(4)) ^ 0xffffffff));
+      return [head, data, crc];
+    }
+
+    /**
+     * Calculate CRC-32 of data.
+     * @param {Uint8Array} data Data.
+     * @param {number} crc Intermediate CRC to continue (optional).
+     * @return {number} CRC-32.
+     */
+    static #crc32(data, crc = 0xffffffff) {
+      if (PngEncoder.#crcTable === null) {
+        const table = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+          let c = i;
+          for (let j = 0; j < 8; j++) {
+            c = (c & 1) !== 0 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+          }
+          table[i] = c;
+        }
+        PngEncoder.#crcTable = table;
+      }
+      const table = PngEncoder.#crcTable;
+      for (let i = 0; i < data.length; i++) {
+        crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+      }
+      return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('PngEncoder.noConflict only works when PngEncoder is used as a global');
+    }
+  }
+});
@@ -0,0 +1,291 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the PointerState API
+  // and when executed as a simple <script>, it creates a PointerState global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makePointerState = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous PointerState global
+    // and initialize PointerState as a global.
+    const prevDefinition = global.PointerState;
+    global.PointerState = moduleDef();
+
+    // Add a noConflict function so PointerState can be removed from
+    // the global namespace.
+    global.PointerState.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.PointerState;
+      } else {
+        global.PointerState = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Pointer input of a canvas with Pointer Events, which covers mouse, touch and pen.
+   *
+   * The primary pointer is treated as the mouse, whose state is provided like iMouse of Shadertoy.
+   * All pointers in contact (pressed buttons for mouse) are provided as an array of up to 10 pointers.
+   * Coordinates are in pixels of the drawing buffer and the origin is the bottom left corner.
+   */
+  return class PointerState {
+    /**
+     * Maximum number of pointers provided as an array.
+     * @type {number}
+     */
+    static #maxPointers = 10;
+    /**
+     * Target canvas.
+     * @type {HTMLCanvasElement}
+     */
+    #canvas;
+    /**
+     * Current position of the primary pointer.
+     * @type {Array<number>}
+     */
+    #position;
+    /**
+     * Position of the primary pointer, which is updated only while it is pressed.
+     * @type {Array<number>}
+     */
+    #dragPosition;
+    /**
+     * Position where the primary pointer is pressed.
+     * @type {Array<number>}
+     */
+    #clickPosition;
+    /**
+     * A flag whether the primary pointer is pressed or not.
+     * @type {boolean}
+     */
+    #isDown;
+    /**
+     * A flag whether the primary pointer is pressed in this frame or not.
+     * @type {boolean}
+     */
+    #isClicked;
+    /**
+     * Bit mask of pressed mouse buttons, the same as MouseEvent.buttons.
+     * @type {number}
+     */
+    #buttons;
+    /**
+     * Wheel delta in this frame and total wheel delta, in pixels.
+     * @type {Array<number>}
+     */
+    #wheel;
+    /**
+     * Pointers in contact, in order of contact.
+     * @type {Map<number, Object>}
+     */
+    #pointers;
+
+    /**
+     * Start to capture pointer events on the canvas.
+     * @param {HTMLCanvasElement} canvas Target canvas.
+     */
+    constructor(canvas) {
+      this.#canvas = canvas;
+      this.#position = [0.0, 0.0];
+      this.#dragPosition = [0.0, 0.0];
+      this.#clickPosition = [0.0, 0.0];
+      this.#isDown = false;
+      this.#isClicked = false;
+      this.#buttons = 0;
+      this.#wheel = [0.0, 0.0, 0.0, 0.0];
+      this.#pointers = new Map();
+
+      // Disable panning and zooming by touch to receive all pointer events.
+      canvas.style.touchAction = 'none';
+
+      canvas.addEventListener('pointerdown', e => {
+        const position = this.#toCanvasPosition(e);
+        if (e.isPrimary && e.button === 0) {
+          this.#position = position;
+          this.#dragPosition = position;
+          this.#clickPosition = position;
+          this.#isDown = true;
+          this.#isClicked = true;
+        }
+        this.#pointers.set(e.pointerId, {position: position, pressure: e.pressure});
+        this.#buttons = e.buttons;
+        // Continue to receive events while dragging outside of the canvas.
+        canvas.setPointerCapture(e.pointerId);
+      });
+      canvas.addEventListener('pointermove', e => {
+        const position = this.#toCanvasPosition(e);
+        if (e.isPrimary) {
+          this.#position = position;
+          if (this.#isDown) {
+            this.#dragPosition = position;
+          }
+        }
+        if (this.#pointers.has(e.pointerId)) {
+          this.#pointers.set(e.pointerId, {position: position, pressure: e.pressure});
+        }
+        this.#buttons = e.buttons;
+      });
+      const onPointerUp = e => {
+        if (e.isPrimary) {
+          this.#isDown = false;
+        }
+        this.#pointers.delete(e.pointerId);
+        this.#buttons = e.buttons;
+      };
+      canvas.addEventListener('pointerup', onPointerUp);
+      canvas.addEventListener('pointercancel', onPointerUp);
+      canvas.addEventListener('wheel', e => {
+        const scale = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? 16.0
+          : e.deltaMode === WheelEvent.DOM_DELTA_PAGE ? canvas.clientHeight
+          : 1.0;
+        this.#wheel[0] += e.deltaX * scale;
+        this.#wheel[1] += e.deltaY * scale;
+        this.#wheel[2] += e.deltaX * scale;
+        this.#wheel[3] += e.deltaY * scale;
+        e.preventDefault();
+      }, {passive: false});
+    }
+
+    /**
+     * Clear the states only for the current frame, such as click and wheel delta.
+     * Call this method after rendering every frame.
+     */
+    nextFrame() {
+      this.#isClicked = false;
+      this.#wheel[0] = 0.0;
+      this.#wheel[1] = 0.0;
+    }
+
+    /**
+     * Get current position of the primary pointer.
+     * @type {Array<number>}
+     */
+    get position() {
+      return this.#position;
+    }
+
+    /**
+     * Get current position of the primary pointer, which is normalized to [0, 1].
+     * @type {Array<number>}
+     */
+    get normalizedPosition() {
+      return [this.#position[0] / this.#canvas.width, this.#position[1] / this.#canvas.height];
+    }
+
+    /**
+     * Get the state of the primary pointer like iMouse of Shadertoy.
+     * xy is the position while the pointer is pressed, zw is the pressed position,
+     * sign of z is whether the pointer is pressed and sign of w is whether the pointer is pressed in this frame.
+     * @type {Array<number>}
+     */
+    get mouse() {
+      return [
+        this.#dragPosition[0],
+        this.#dragPosition[1],
+        this.#isDown ? this.#clickPosition[0] : -this.#clickPosition[0],
+        this.#isClicked ? this.#clickPosition[1] : -this.#clickPosition[1]
+      ];
+    }
+
+    /**
+     * Get bit mask of pressed mouse buttons, 1 for the left, 2 for the right and 4 for the middle.
+     * @type {number}
+     */
+    get buttons() {
+      return this.#buttons;
+    }
+
+    /**
+     * Get wheel delta, xy is delta in this frame and zw is total delta, in pixels.
+     * @type {Array<number>}
+     */
+    get wheel() {
+      return this.#wheel.slice();
+    }
+
+    /**
+     * Get pointers in contact as an array of 10 vec4.
+     * xy is the position, z is the pressure and w is 1.0 for pointers in contact, otherwise all are 0.0.
+     * @type {Float32Array}
+     */
+    get pointers() {
+      const data = new Float32Array(PointerState.#maxPointers * 4);
+      let i = 0;
+      for (const pointer of this.#pointers.values()) {
+        if (i >= PointerState.#maxPointers) {
+          break;
+        }
+        data.set([pointer.position[0], pointer.position[1], pointer.pressure, 1.0], i * 4);
+        i++;
+      }
+      return data;
+    }
+
+    /**
+     * Get the number of pointers in contact, which is up to 10.
+     * @type {number}
+     */
+    get pointerCount() {
+      return Math.min(this.#pointers.size, PointerState.#maxPointers);
+    }
+
+    /**
+     * Convert position of a pointer event into pixels of the drawing buffer, whose origin is the bottom left corner.
+     * @param {PointerEvent} e Pointer event.
+     * @return {Array<number>} Position in pixels.
+     */
+    #toCanvasPosition(e) {
+      const canvas = this.#canvas;
+      const rect = canvas.getBoundingClientRect();
+      return [
+        (e.clientX - rect.left) * canvas.width / rect.width,
+        (rect.bottom - e.clientY) * canvas.height / rect.height
+      ];
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('PointerState.noConflict only works when PointerState is used as a global');
+    }
+  }
+});
@@ -0,0 +1,151 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the Shadertoy API
+  // and when executed as a simple <script>, it creates a Shadertoy global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeShadertoy = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous Shadertoy global
+    // and initialize Shadertoy as a global.
+    const prevDefinition = global.Shadertoy;
+    global.Shadertoy = moduleDef();
+
+    // Add a noConflict function so Shadertoy can be removed from
+    // the global namespace.
+    global.Shadertoy.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.Shadertoy;
+      } else {
+        global.Shadertoy = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Shadertoy Preprocessor.
+   * @see {@link https://www.shadertoy.com/howto}
+   */
+  return class Shadertoy {
+    /**
+     * Convert Shadertoy fragment shader source to GLSL fragment shader source.
+     * @param {string} code Shadertoy fragment shader source.
+     * @param {string} type Shadertoy source type.
+     * @return GLSL ES fragment shader source
+     */
+    static convert(code, type) {
+      switch (type) {
+        case '300es':
+          return Shadertoy.convertFs300es(code);
+        default:
+          return Shadertoy.convertFs(code);
+      }
+    }
+
+    /**
+     * Convert Shadertoy fragment shader source to GLSL ES 1.0 fragment shader source.
+     * @param {string} code Shadertoy fragment shader source which defines mainImage().
+     * @return GLSL ES 1.0 fragment shader source
+     */
+    static convertFs(code) {
+      return `precision highp float;
+precision highp int;
+${Shadertoy.uniformDeclarations}
+void mainImage(out vec4 fragColor, in vec2 fragCoord);
+void main() {
+  gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+  mainImage(gl_FragColor, gl_FragCoord.xy);
+}
+#line 1
+${code}
+`;
+    }
+
+    /**
+     * Convert Shadertoy fragment shader source to GLSL ES 3.0 fragment shader source.
+     * @param {string} code Shadertoy fragment shader source which defines mainImage().
+     * @return GLSL ES 3.0 fragment shader source
+     */
+    static convertFs300es(code) {
+      return `#version 300 es
+precision highp float;
+precision highp int;
+${Shadertoy.uniformDeclarations}
+out vec4 shadertoy_outColor;
+void mainImage(out vec4 fragColor, in vec2 fragCoord);
+void main() {
+  shadertoy_outColor = vec4(0.0, 0.0, 0.0, 1.0);
+  mainImage(shadertoy_outColor, gl_FragCoord.xy);
+}
+#line 1
+${code}
+`;
+    }
+
+    /**
+     * Declarations of Shadertoy uniform variables.
+     * @type {string}
+     */
+    static get uniformDeclarations() {
+      return `#define HW_PERFORMANCE 1
+uniform vec3 iResolution;  // Viewport resolution (in pixels).
+uniform float iTime;  // Shader playback time (in seconds).
+uniform float iTimeDelta;  // Render time (in seconds).
+uniform float iFrameRate;  // Shader frame rate.
+uniform int iFrame;  // Shader playback frame.
+uniform float iChannelTime[4];  // Channel playback time (in seconds).
+uniform vec3 iChannelResolution[4];  // Channel resolution (in pixels).
+uniform vec4 iMouse;  // Mouse pixel coords. xy: current (if MLB down), zw: click.
+uniform sampler2D iChannel0;  // Input channel 0.
+uniform sampler2D iChannel1;  // Input channel 1.
+uniform sampler2D iChannel2;  // Input channel 2.
+uniform sampler2D iChannel3;  // Input channel 3.
+uniform vec4 iDate;  // (year, month, day, time in seconds).
+uniform float iSampleRate;  // Sound sample rate (i.e., 44100).`;
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('Shadertoy.noConflict only works when Shadertoy is used as a global');
+    }
+  }
+});
@@ -0,0 +1,411 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the SoundShaderPlayer API
+  // and when executed as a simple <script>, it creates a SoundShaderPlayer global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeSoundShaderPlayer = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous SoundShaderPlayer global
+    // and initialize SoundShaderPlayer as a global.
+    const prevDefinition = global.SoundShaderPlayer;
+    global.SoundShaderPlayer = moduleDef();
+
+    // Add a noConflict function so SoundShaderPlayer can be removed from
+    // the global namespace.
+    global.SoundShaderPlayer.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.SoundShaderPlayer;
+      } else {
+        global.SoundShaderPlayer = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Player of sound shader, which computes audio samples on GPU with the GLSL function "mainSound".
+   *
+   * Following signatures of mainSound are supported.
+   * - vec2 mainSound(float time): twigl style, "sampleRate" uniform is available.
+   * - vec2 mainSound(int samp, float time): Shadertoy style, "iSampleRate" uniform is available.
+   *
+   * Samples are rendered block by block into a canvas, encoded as 16 bit integers of left and right channels,
+   * read back and scheduled as AudioBufferSourceNode.
+   */
+  return class SoundShaderPlayer {
+    /**
+     * Width of the canvas which a block of samples is rendered into.
+     * @type {number}
+     */
+    static #blockWidth = 512;
+    /**
+     * Height of the canvas which a block of samples is rendered into.
+     * @type {number}
+     */
+    static #blockHeight = 512;
+    /**
+     * Length of samples which are rendered ahead of the playing position (in seconds).
+     * @type {number}
+     */
+    static #lookAhead = 1.0;
+    /**
+     * Latency from play() to the start of the sound (in seconds).
+     * @type {number}
+     */
+    static #startLatency = 0.1;
+    /**
+     * Audio context.
+     * @type {AudioContext}
+     */
+    #context;
+    /**
+     * Renderer of sound shader.
+     * @type {GlslQuadRenderer}
+     */
+    #renderer;
+    /**
+     * Buffer to read pixels of a block.
+     * @type {Uint8Array}
+     */
+    #pixels;
+    /**
+     * Duration of the sound (in seconds).
+     * @type {number}
+     */
+    #duration;
+    /**
+     * A flag whether sound shader has been built or not.
+     * @type {boolean}
+     */
+    #hasBuilt;
+    /**
+     * A flag whether the sound is playing or not.
+     * @type {boolean}
+     */
+    #isPlaying;
+    /**
+     * Index of the first sample of the block to schedule next.
+     * @type {number}
+     */
+    #nextSample;
+    /**
+     * Time of the audio context when the block to schedule next starts (in seconds).
+     * @type {number}
+     */
+    #nextStartTime;
+    /**
+     * Scheduled source nodes which have not ended yet.
+     * @type {Set<AudioBufferSourceNode>}
+     */
+    #sources;
+
+    /**
+     * Create audio context and renderer of sound shader.
+     * GlslQuadRenderer is injected because this module does not refer the other modules directly.
+     * @param {function} rendererClass Class definition of GlslQuadRenderer.
+     * @param {number} duration Duration of the sound (in seconds, optional, default: 180).
+     */
+    constructor(rendererClass, duration) {
+      const canvas = document.createElement('canvas');
+      canvas.width = SoundShaderPlayer.#blockWidth;
+      canvas.height = SoundShaderPlayer.#blockHeight;
+      // Alpha channel is used to store samples, so it must not be modified.
+      this.#renderer = new rendererClass(canvas, {alpha: true, premultipliedAlpha: false, preserveDrawingBuffer: true});
+      this.#context = new AudioContext();
+      this.#pixels = new Uint8Array(SoundShaderPlayer.#blockWidth * SoundShaderPlayer.#blockHeight * 4);
+      this.#duration = typeof duration === 'undefined' ? 180.0 : duration;
+      this.#hasBuilt = false;
+      this.#isPlaying = false;
+      this.#nextSample = 0;
+      this.#nextStartTime = 0.0;
+      this.#sources = new Set();
+    }
+
+    /**
+     * Build sound shader.
+     * Playing sound is stopped.
+     * @param {string} fsSource Source code which defines mainSound.
+     */
+    build(fsSource) {
+      this.pause();
+      this.#hasBuilt = false;
+
+      const isShadertoyStyle = fsSource.match(/\bvec2\s+mainSound\s*\(\s*(?:in\s+)?int\b/) !== null;
+      const sampleRateName = isShadertoyStyle ? 'iSampleRate' : 'sampleRate';
+      this.#renderer.build(SoundShaderPlayer.#convert(fsSource, this.#renderer.isWebGL2, isShadertoyStyle), null, {
+        'sampleRate': sampleRateName,
+        'soundBlockOffset': 'previmglsl_blockOffset'
+      });
+      this.#renderer.setUniform('sampleRate', this.#context.sampleRate);
+      this.#hasBuilt = true;
+    }
+
+    /**
+     * Stop playing and discard built sound shader.
+     */
+    clear() {
+      this.pause();
+      this.#hasBuilt = false;
+    }
+
+    /**
+     * Resume audio context, which must be called in a handler of user gesture at least once
+     * because of the autoplay policy of browsers.
+     * @return {Promise} Promise which is resolved when the audio context is resumed.
+     */
+    resume() {
+      return this.#context.resume();
+    }
+
+    /**
+     * Start playing from the specified time.
+     * @param {number} time Time to start playing (in seconds).
+     */
+    play(time) {
+      this.pause();
+      if (!this.#hasBuilt) {
+        return;
+      }
+      this.#isPlaying = true;
+      this.#nextSample = Math.max(0, Math.floor(time * this.#context.sampleRate));
+      this.#nextStartTime = this.#context.currentTime + SoundShaderPlayer.#startLatency;
+      this.update();
+    }
+
+    /**
+     * Stop playing.
+     */
+    pause() {
+      this.#isPlaying = false;
+      for (const source of this.#sources) {
+        source.onended = null;
+        source.stop();
+        source.disconnect();
+      }
+      this.#sources.clear();
+    }
+
+    /**
+     * Render and schedule blocks which will be played soon.
+     * Call this method periodically while playing.
+     */
+    update() {
+      if (!this.#isPlaying) {
+        return;
+      }
+      const context = this.#context;
+      const totalSamples = Math.floor(this.#duration * context.sampleRate);
+      while (this.#nextSample < totalSamples && this.#nextStartTime - context.currentTime < SoundShaderPlayer.#lookAhead) {
+        const count = Math.min(SoundShaderPlayer.#blockWidth * SoundShaderPlayer.#blockHeight, totalSamples - this.#nextSample);
+        const pixels = this.#renderBlock(this.#nextSample);
+
+        const buffer = context.createBuffer(2, count, context.sampleRate);
+        const left = buffer.getChannelData(0);
+        const right = buffer.getChannelData(1);
+        for (let i = 0; i < count; i++) {
+          left[i] = SoundShaderPlayer.#decodeSample(pixels, i * 4) / 32768.0;
+          right[i] = SoundShaderPlayer.#decodeSample(pixels, i * 4 + 2) / 32768.0;
+        }
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.onended = () => {
+          source.disconnect();
+          this.#sources.delete(source);
+        };
+        source.start(this.#nextStartTime);
+        this.#sources.add(source);
+
+        this.#nextSample += count;
+        this.#nextStartTime += count / context.sampleRate;
+      }
+    }
+
+    /**
+     * Render whole sound into WAV data (16 bit stereo PCM).
+     * @param {number} duration Duration to render (in seconds, optional, default: duration of this player).
+     * @return {Blob} WAV data.
+     */
+    renderWav(duration) {
+      if (!this.#hasBuilt) {
+        throw new Error('Sound shader has not been built.');
+      }
+      if (typeof duration === 'undefined') {
+        duration = this.#duration;
+      }
+      const sampleRate = this.#context.sampleRate;
+      const totalSamples = Math.floor(duration * sampleRate);
+      const dataSize = totalSamples * 4;
+
+      const view = new DataView(new ArrayBuffer(44 + dataSize));
+      const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) {
+          view.setUint8(offset + i, str.charCodeAt(i));
+        }
+      };
+      writeString(0, 'RIFF');
+      view.setUint32(4, 36 + dataSize, true);
+      writeString(8, 'WAVE');
+      writeString(12, 'fmt ');
+      view.setUint32(16, 16, true);
+      view.setUint16(20, 1, true);
+      view.setUint16(22, 2, true);
+      view.setUint32(24, sampleRate, true);
+      view.setUint32(28, sampleRate * 4, true);
+      view.setUint16(32, 4, true);
+      view.setUint16(34, 16, true);
+      writeString(36, 'data');
+      view.setUint32(40, dataSize, true);
+
+      const blockSamples = SoundShaderPlayer.#blockWidth * SoundShaderPlayer.#blockHeight;
+      for (let offset = 0; offset < totalSamples; offset += blockSamples) {
+        const pixels = this.#renderBlock(offset);
+        const count = Math.min(blockSamples, totalSamples - offset);
+        for (let i = 0; i < count; i++) {
+          view.setInt16(44 + (offset + i) * 4, SoundShaderPlayer.#decodeSample(pixels, i * 4), true);
+          view.setInt16(44 + (offset + i) * 4 + 2, SoundShaderPlayer.#decodeSample(pixels, i * 4 + 2), true);
+        }
+      }
+
+      return new Blob([view.buffer], {type: 'audio/wav'});
+    }
+
+    /**
+     * Get duration of the sound.
+     * @return {number} Duration in seconds.
+     */
+    get duration() {
+      return this.#duration;
+    }
+
+    /**
+     * Set duration of the sound in seconds, which takes effect from the next play().
+     */
+    set duration(duration) {
+      this.#duration = duration;
+    }
+
+    /**
+     * Get a flag whether sound shader has been built or not.
+     * @return {boolean} True if sound shader has been built, otherwise false.
+     */
+    get hasBuilt() {
+      return this.#hasBuilt;
+    }
+
+    /**
+     * Get a flag whether the sound is playing or not.
+     * @return {boolean} True if the sound is playing, otherwise false.
+     */
+    get isPlaying() {
+      return this.#isPlaying;
+    }
+
+    /**
+     * Get a flag whether the audio context is suspended by the autoplay policy or not.
+     * @return {boolean} True if the audio context is suspended, otherwise false.
+     */
+    get isSuspended() {
+      return this.#context.state === 'suspended';
+    }
+
+    /**
+     * Render a block of samples.
+     * @param {number} offset Index of the first sample of the block.
+     * @return {Uint8Array} Encoded samples.
+     */
+    #renderBlock(offset) {
+      const width = SoundShaderPlayer.#blockWidth;
+      const height = SoundShaderPlayer.#blockHeight;
+      this.#renderer.setUniform('soundBlockOffset', offset);
+      this.#renderer.render(width, height);
+      return this.#renderer.readPixels(width, height, this.#pixels);
+    }
+
+    /**
+     * Decode a sample encoded in two bytes.
+     * @param {Uint8Array} pixels Encoded samples.
+     * @param {number} index Index of the lower byte.
+     * @return {number} Sample value in [-32768, 32767].
+     */
+    static #decodeSample(pixels, index) {
+      return pixels[index] + pixels[index + 1] * 256 - 32768;
+    }
+
+    /**
+     * Convert source code of sound shader to fragment shader which renders a block of samples.
+     * Lower and upper bytes of the left channel are stored in R and G, and those of the right channel are in B and A.
+     * @param {string} code Source code which defines mainSound.
+     * @param {boolean} is300es Generate GLSL ES 3.0 or not.
+     * @param {boolean} isShadertoyStyle mainSound takes the sample index or not.
+     * @return {string} Fragment shader source code.
+     */
+    static #convert(code, is300es, isShadertoyStyle) {
+      const sampleRateName = isShadertoyStyle ? 'iSampleRate' : 'sampleRate';
+      const index = 'previmglsl_blockOffset + floor(gl_FragCoord.y) * ' + SoundShaderPlayer.#blockWidth.toFixed(1) + ' + floor(gl_FragCoord.x)';
+      const call = isShadertoyStyle ? 'mainSound(int(index), index / ' + sampleRateName + ')'
+        : 'mainSound(index / ' + sampleRateName + ')';
+      return (is300es ? '#version 300 es\n' : '')
+        + 'precision highp float;\n'
+        + 'precision highp int;\n'
+        + 'uniform float previmglsl_blockOffset;\n'
+        + 'uniform float ' + sampleRateName + ';\n'
+        + (is300es ? 'out vec4 previmglsl_fragColor;\n' : '')
+        + '#line 1\n'
+        + code
+        + '\n'
+        + 'void main(void) {\n'
+        + '  float index = ' + index + ';\n'
+        + '  vec2 v = floor((clamp(' + call + ', -1.0, 1.0) * 0.5 + 0.5) * 65535.0 + 0.5);\n'
+        + '  vec2 lower = mod(v, 256.0);\n'
+        + '  vec2 upper = floor(v / 256.0);\n'
+        + '  ' + (is300es ? 'previmglsl_fragColor' : 'gl_FragColor') + ' = vec4(lower.x, upper.x, lower.y, upper.y) / 255.0;\n'
+        + '}\n';
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('SoundShaderPlayer.noConflict only works when SoundShaderPlayer is used as a global');
+    }
+  }
+});
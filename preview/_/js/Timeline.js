@@ -0,0 +1,411 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the Timeline API
+  // and when executed as a simple <script>, it creates a Timeline global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeTimeline = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous Timeline global
+    // and initialize Timeline as a global.
+    const prevDefinition = global.Timeline;
+    global.Timeline = moduleDef();
+
+    // Add a noConflict function so Timeline can be removed from
+    // the global namespace.
+    global.Timeline.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.Timeline;
+      } else {
+        global.Timeline = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Keyframes of uniform variables over time.
+   *
+   * The JSON representation is following.
+   * <pre>
+   * {
+   *   "version": 1,
+   *   "tracks": {
+   *     "speed": [
+   *       {"time": 0.0, "value": [1.0], "interpolation": "linear"},
+   *       {"time": 2.0, "value": [3.0], "interpolation": "bezier", "bezier": [0.42, 0.0, 0.58, 1.0]},
+   *       {"time": 5.0, "value": [0.0], "interpolation": "step"}
+   *     ]
+   *   }
+   * }
+   * </pre>
+   * The interpolation of a keyframe is applied to the segment from it to the next keyframe.
+   * "bezier" eases the segment with the cubic Bezier curve of the control points (x1, y1) and (x2, y2),
+   * whose end points are (0, 0) and (1, 1) like cubic-bezier() of CSS.
+   */
+  return class Timeline {
+    /**
+     * Version of JSON representation.
+     * @type {number}
+     */
+    static #version = 1;
+    /**
+     * Available interpolation modes.
+     * @type {Array<string>}
+     */
+    static #interpolations = ['step', 'linear', 'bezier'];
+    /**
+     * Control points of Bezier curve for new keyframes, which is "ease-in-out" of CSS.
+     * @type {Array<number>}
+     */
+    static #defaultBezier = [0.42, 0.0, 0.58, 1.0];
+    /**
+     * Dictionary from uniform variable name to keyframes sorted by time.
+     * @type {Map<string, Array<Object>>}
+     */
+    #tracks;
+
+    /**
+     * Create timeline.
+     * @param {Object} data JSON representation of timeline (optional).
+     */
+    constructor(data) {
+      this.#tracks = new Map();
+      if (typeof data !== 'undefined' && data !== null) {
+        this.load(data);
+      }
+    }
+
+    /**
+     * Replace all tracks with JSON representation.
+     * @param {Object} data JSON representation of timeline.
+     */
+    load(data) {
+      if (typeof data !== 'object' || data === null || typeof data.tracks !== 'object' || data.tracks === null) {
+        throw new Error('Invalid timeline: "tracks" is required.');
+      }
+      if (typeof data.version !== 'undefined' && data.version > Timeline.#version) {
+        throw new Error('Unsupported timeline version: ' + data.version);
+      }
+      const tracks = new Map();
+      for (const [name, keyframes] of Object.entries(data.tracks)) {
+        if (!Array.isArray(keyframes)) {
+          throw new Error('Invalid timeline: keyframes of "' + name + '" must be an array.');
+        }
+        const normalized = keyframes.map(keyframe => Timeline.#normalizeKeyframe(name, keyframe));
+        if (normalized.length > 0) {
+          tracks.set(name, normalized.sort((a, b) => a.time - b.time));
+        }
+      }
+      this.#tracks = tracks;
+    }
+
+    /**
+     * Remove all tracks.
+     */
+    clear() {
+      this.#tracks.clear();
+    }
+
+    /**
+     * Get JSON representation, which is called by JSON.stringify().
+     * @return {Object} JSON representation of timeline.
+     */
+    toJSON() {
+      const tracks = {};
+      for (const [name, keyframes] of this.#tracks) {
+        tracks[name] = keyframes.map(keyframe => Timeline.#copyKeyframe(keyframe));
+      }
+      return {
+        version: Timeline.#version,
+        tracks: tracks
+      };
+    }
+
+    /**
+     * Get copies of keyframes of a uniform variable.
+     * @param {string} name Name of uniform variable.
+     * @return {Array<Object>} Keyframes sorted by time, which is empty if there is no track.
+     */
+    getKeyframes(name) {
+      const keyframes = this.#tracks.get(name);
+      return typeof keyframes === 'undefined' ? [] : keyframes.map(keyframe => Timeline.#copyKeyframe(keyframe));
+    }
+
+    /**
+     * Add a keyframe, or replace the keyframe at the same time.
+     * @param {string} name Name of uniform variable.
+     * @param {number} time Time in seconds.
+     * @param {number|Array<number>} value Value at the time.
+     * @param {string} interpolation Interpolation mode to the next keyframe, "step", "linear" or "bezier" (optional).
+     * @return {number} Index of the keyframe.
+     */
+    setKeyframe(name, time, value, interpolation) {
+      const keyframe = Timeline.#normalizeKeyframe(name, {
+        time: time,
+        value: value,
+        interpolation: typeof interpolation === 'undefined' ? 'linear' : interpolation
+      });
+      if (!this.#tracks.has(name)) {
+        this.#tracks.set(name, []);
+      }
+      const keyframes = this.#tracks.get(name);
+      const index = keyframes.findIndex(k => Math.abs(k.time - keyframe.time) < 1.0e-6);
+      if (index !== -1) {
+        keyframe.interpolation = typeof interpolation === 'undefined' ? keyframes[index].interpolation : keyframe.interpolation;
+        keyframe.bezier = keyframes[index].bezier;
+        keyframes[index] = keyframe;
+        return index;
+      }
+      keyframes.push(keyframe);
+      keyframes.sort((a, b) => a.time - b.time);
+      return keyframes.indexOf(keyframe);
+    }
+
+    /**
+     * Update properties of a keyframe.
+     * @param {string} name Name of uniform variable.
+     * @param {number} index Index of the keyframe.
+     * @param {Object} props Properties to update, which are time, value, interpolation and bezier.
+     * @return {number} New index of the keyframe, which may be changed by the time.
+     */
+    updateKeyframe(name, index, props) {
+      const keyframes = this.#tracks.get(name);
+      if (typeof keyframes === 'undefined' || index < 0 || index >= keyframes.length) {
+        throw new Error('No keyframe: ' + name + '[' + index + ']');
+      }
+      const keyframe = Timeline.#normalizeKeyframe(name, Object.assign(Timeline.#copyKeyframe(keyframes[index]), props));
+      keyframes[index] = keyframe;
+      keyframes.sort((a, b) => a.time - b.time);
+      return keyframes.indexOf(keyframe);
+    }
+
+    /**
+     * Remove a keyframe. The track is removed with its last keyframe.
+     * @param {string} name Name of uniform variable.
+     * @param {number} index Index of the keyframe.
+     */
+    removeKeyframe(name, index) {
+      const keyframes = this.#tracks.get(name);
+      if (typeof keyframes === 'undefined' || index < 0 || index >= keyframes.length) {
+        return;
+      }
+      keyframes.splice(index, 1);
+      if (keyframes.length === 0) {
+        this.#tracks.delete(name);
+      }
+    }
+
+    /**
+     * Evaluate a track at the specified time.
+     * @param {string} name Name of uniform variable.
+     * @param {number} time Time in seconds.
+     * @return {Array<number>} Interpolated value, or null if there is no track.
+     */
+    evaluateTrack(name, time) {
+      const keyframes = this.#tracks.get(name);
+      if (typeof keyframes === 'undefined') {
+        return null;
+      }
+      if (time <= keyframes[0].time) {
+        return keyframes[0].value.slice();
+      }
+      const last = keyframes[keyframes.length - 1];
+      if (time >= last.time) {
+        return last.value.slice();
+      }
+
+      // Binary search for the segment which contains the time.
+      let lo = 0;
+      let hi = keyframes.length - 1;
+      while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (keyframes[mid].time <= time) {
+          lo = mid;
+        } else {
+          hi = mid;
+        }
+      }
+      const k0 = keyframes[lo];
+      const k1 = keyframes[hi];
+      const x = (time - k0.time) / (k1.time - k0.time);
+      let t;
+      switch (k0.interpolation) {
+        case 'step':
+          return k0.value.slice();
+        case 'bezier':
+          t = Timeline.#cubicBezier(k0.bezier, x);
+          break;
+        default:
+          t = x;
+          break;
+      }
+      return k0.value.map((v0, i) => i < k1.value.length ? v0 + (k1.value[i] - v0) * t : v0);
+    }
+
+    /**
+     * Evaluate all tracks at the specified time.
+     * @param {number} time Time in seconds.
+     * @return {Object} Dictionary from uniform variable name to interpolated value.
+     */
+    evaluate(time) {
+      const values = {};
+      for (const name of this.#tracks.keys()) {
+        values[name] = this.evaluateTrack(name, time);
+      }
+      return values;
+    }
+
+    /**
+     * Get names of uniform variables which have tracks.
+     * @type {Array<string>}
+     */
+    get trackNames() {
+      return Array.from(this.#tracks.keys());
+    }
+
+    /**
+     * Get time of the last keyframe of all tracks.
+     * @type {number}
+     */
+    get duration() {
+      let duration = 0.0;
+      for (const keyframes of this.#tracks.values()) {
+        duration = Math.max(duration, keyframes[keyframes.length - 1].time);
+      }
+      return duration;
+    }
+
+    /**
+     * Get a flag whether there is no track or not.
+     * @type {boolean}
+     */
+    get isEmpty() {
+      return this.#tracks.size === 0;
+    }
+
+    /**
+     * Get available interpolation modes.
+     * @type {Array<string>}
+     */
+    static get interpolations() {
+      return Timeline.#interpolations.slice();
+    }
+
+    /**
+     * Validate a keyframe and fill its default properties.
+     * @param {string} name Name of uniform variable, which is used in error messages.
+     * @param {Object} keyframe Keyframe.
+     * @return {Object} Normalized keyframe.
+     */
+    static #normalizeKeyframe(name, keyframe) {
+      if (typeof keyframe !== 'object' || keyframe === null || !Number.isFinite(keyframe.time)) {
+        throw new Error('Invalid keyframe of "' + name + '": "time" must be a number.');
+      }
+      const value = typeof keyframe.value === 'number' ? [keyframe.value] : keyframe.value;
+      if (!Array.isArray(value) || value.length === 0 || !value.every(Number.isFinite)) {
+        throw new Error('Invalid keyframe of "' + name + '": "value" must be a number or an array of numbers.');
+      }
+      const interpolation = typeof keyframe.interpolation === 'undefined' ? 'linear' : keyframe.interpolation;
+      if (Timeline.#interpolations.indexOf(interpolation) === -1) {
+        throw new Error('Invalid keyframe of "' + name + '": unknown interpolation: ' + interpolation);
+      }
+      let bezier = typeof keyframe.bezier === 'undefined' ? Timeline.#defaultBezier : keyframe.bezier;
+      if (!Array.isArray(bezier) || bezier.length !== 4 || !bezier.every(Number.isFinite)) {
+        throw new Error('Invalid keyframe of "' + name + '": "bezier" must be an array of 4 numbers.');
+      }
+      // x coordinates must be in [0, 1] so that the curve is a function of x.
+      bezier = [Math.min(Math.max(bezier[0], 0.0), 1.0), bezier[1], Math.min(Math.max(bezier[2], 0.0), 1.0), bezier[3]];
+      return {
+        time: Math.max(keyframe.time, 0.0),
+        value: value.slice(),
+        interpolation: interpolation,
+        bezier: bezier
+      };
+    }
+
+    /**
+     * Copy a keyframe, omitting control points of Bezier curve unless the interpolation is "bezier".
+     * @param {Object} keyframe Keyframe.
+     * @return {Object} Copied keyframe.
+     */
+    static #copyKeyframe(keyframe) {
+      const copied = {
+        time: keyframe.time,
+        value: keyframe.value.slice(),
+        interpolation: keyframe.interpolation
+      };
+      if (keyframe.interpolation === 'bezier') {
+        copied.bezier = keyframe.bezier.slice();
+      }
+      return copied;
+    }
+
+    /**
+     * Evaluate cubic Bezier easing function.
+     * @param {Array<number>} bezier Control points, x1, y1, x2 and y2.
+     * @param {number} x Input in [0, 1].
+     * @return {number} Eased value.
+     */
+    static #cubicBezier(bezier, x) {
+      const [x1, y1, x2, y2] = bezier;
+      const curve = (t, p1, p2) => ((1.0 - 3.0 * p2 + 3.0 * p1) * t + (3.0 * p2 - 6.0 * p1)) * t * t + 3.0 * p1 * t;
+      // Find t of x with bisection since x(t) is monotonic when x1 and x2 are in [0, 1].
+      let lo = 0.0;
+      let hi = 1.0;
+      let t = x;
+      for (let i = 0; i < 32; i++) {
+        if (curve(t, x1, x2) < x) {
+          lo = t;
+        } else {
+          hi = t;
+        }
+        t = (lo + hi) * 0.5;
+      }
+      return curve(t, y1, y2);
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('Timeline.noConflict only works when Timeline is used as a global');
+    }
+  }
+});
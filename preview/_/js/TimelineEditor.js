@@ -0,0 +1,565 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the TimelineEditor API
+  // and when executed as a simple <script>, it creates a TimelineEditor global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeTimelineEditor = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous TimelineEditor global
+    // and initialize TimelineEditor as a global.
+    const prevDefinition = global.TimelineEditor;
+    global.TimelineEditor = moduleDef();
+
+    // Add a noConflict function so TimelineEditor can be removed from
+    // the global namespace.
+    global.TimelineEditor.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.TimelineEditor;
+      } else {
+        global.TimelineEditor = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Curve editor of a timeline.
+   *
+   * The curve of a component of the selected track is drawn against time.
+   * - Click a keyframe to select it, and drag it to change its time and value.
+   * - Double-click an empty place to add a keyframe on the curve.
+   * - "Key" button adds a keyframe at the current time with the current value of the uniform variable.
+   */
+  return class TimelineEditor {
+    /**
+     * Height of the curve area in pixels.
+     * @type {number}
+     */
+    static #curveHeight = 120;
+    /**
+     * Radius to pick a keyframe in pixels.
+     * @type {number}
+     */
+    static #pickRadius = 6;
+    /**
+     * Minimum duration of the time axis in seconds.
+     * @type {number}
+     */
+    static #minViewDuration = 10.0;
+    /**
+     * Timeline to edit.
+     * @type {Timeline}
+     */
+    #timeline;
+    /**
+     * Function which returns the current value of a uniform variable.
+     * @type {function(string): Array<number>}
+     */
+    #getValue;
+    /**
+     * Function which is called when "Save" button is clicked.
+     * @type {function}
+     */
+    #save;
+    /**
+     * Container element of the editor.
+     * @type {HTMLElement}
+     */
+    #container;
+    /**
+     * Select of the track.
+     * @type {HTMLSelectElement}
+     */
+    #trackSelect;
+    /**
+     * Select of the component of the track.
+     * @type {HTMLSelectElement}
+     */
+    #componentSelect;
+    /**
+     * Select of the interpolation of the selected keyframe.
+     * @type {HTMLSelectElement}
+     */
+    #interpolationSelect;
+    /**
+     * Number inputs of control points of Bezier curve of the selected keyframe.
+     * @type {Array<HTMLInputElement>}
+     */
+    #bezierInputs;
+    /**
+     * Canvas to draw the curve.
+     * @type {HTMLCanvasElement}
+     */
+    #canvas;
+    /**
+     * Names of uniform variables which can be animated.
+     * @type {Array<string>}
+     */
+    #candidates;
+    /**
+     * Index of the selected keyframe, or -1 if not selected.
+     * @type {number}
+     */
+    #selectedIndex;
+    /**
+     * Current time in seconds.
+     * @type {number}
+     */
+    #time;
+    /**
+     * Range of the value axis of the last drawing, which is fixed while dragging.
+     * @type {Array<number>}
+     */
+    #valueRange;
+    /**
+     * Duration of the time axis of the last drawing, which is fixed while dragging.
+     * @type {number}
+     */
+    #viewDuration;
+    /**
+     * A flag whether a keyframe is being dragged or not.
+     * @type {boolean}
+     */
+    #isDragging;
+
+    /**
+     * Create editor in the container.
+     * @param {HTMLElement} container Container element of the editor.
+     * @param {Timeline} timeline Timeline to edit.
+     * @param {function(string): Array<number>} getValue Function which returns the current value of a uniform variable.
+     * @param {function} save Function which is called when "Save" button is clicked.
+     */
+    constructor(container, timeline, getValue, save) {
+      this.#container = container;
+      this.#timeline = timeline;
+      this.#getValue = getValue;
+      this.#save = save;
+      this.#candidates = [];
+      this.#selectedIndex = -1;
+      this.#time = 0.0;
+      this.#valueRange = [0.0, 1.0];
+      this.#viewDuration = TimelineEditor.#minViewDuration;
+      this.#isDragging = false;
+
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.innerText = 'Timeline';
+      details.appendChild(summary);
+
+      const toolbar = document.createElement('div');
+      toolbar.className = 'timeline-editor-toolbar';
+      this.#trackSelect = document.createElement('select');
+      this.#trackSelect.addEventListener('change', () => {
+        this.#selectedIndex = -1;
+        this.#updateComponentSelect();
+        this.#updateKeyframeControls();
+        this.draw();
+      });
+      this.#componentSelect = document.createElement('select');
+      this.#componentSelect.addEventListener('change', () => this.draw());
+      this.#interpolationSelect = document.createElement('select');
+      for (const interpolation of timeline.constructor.interpolations) {
+        const option = document.createElement('option');
+        option.value = interpolation;
+        option.innerText = interpolation;
+        this.#interpolationSelect.appendChild(option);
+      }
+      this.#interpolationSelect.addEventListener('change', () => {
+        this.#updateSelectedKeyframe({interpolation: this.#interpolationSelect.value});
+      });
+      this.#bezierInputs = [0, 1, 2, 3].map(i => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '0.01';
+        input.className = 'timeline-editor-bezier';
+        input.title = ['x1', 'y1', 'x2', 'y2'][i];
+        input.addEventListener('change', () => {
+          const bezier = this.#bezierInputs.map(input => Number.parseFloat(input.value));
+          if (bezier.every(Number.isFinite)) {
+            this.#updateSelectedKeyframe({bezier: bezier});
+          }
+        });
+        return input;
+      });
+      const keyButton = document.createElement('button');
+      keyButton.innerText = 'Key';
+      keyButton.title = 'Add keyframe at the current time with the current value';
+      keyButton.addEventListener('click', () => this.#addKeyframeAtCurrentTime());
+      const deleteButton = document.createElement('button');
+      deleteButton.innerText = 'Delete';
+      deleteButton.title = 'Delete the selected keyframe';
+      deleteButton.addEventListener('click', () => {
+        if (this.#selectedIndex !== -1) {
+          this.#timeline.removeKeyframe(this.#trackSelect.value, this.#selectedIndex);
+          this.#selectedIndex = -1;
+          this.#updateKeyframeControls();
+          this.draw();
+        }
+      });
+      const saveButton = document.createElement('button');
+      saveButton.innerText = 'Save';
+      saveButton.title = 'Save timeline as JSON file';
+      saveButton.addEventListener('click', () => this.#save());
+      toolbar.append(this.#trackSelect, this.#componentSelect, keyButton, deleteButton,
+        this.#interpolationSelect, ...this.#bezierInputs, saveButton);
+      details.appendChild(toolbar);
+
+      this.#canvas = document.createElement('canvas');
+      this.#canvas.className = 'timeline-editor-curve';
+      this.#canvas.height = TimelineEditor.#curveHeight;
+      this.#canvas.addEventListener('pointerdown', e => this.#onPointerDown(e));
+      this.#canvas.addEventListener('pointermove', e => this.#onPointerMove(e));
+      this.#canvas.addEventListener('pointerup', () => {
+        this.#isDragging = false;
+      });
+      this.#canvas.addEventListener('dblclick', e => this.#onDoubleClick(e));
+      details.appendChild(this.#canvas);
+      details.addEventListener('toggle', () => this.draw());
+
+      container.replaceChildren(details);
+      this.refresh();
+    }
+
+    /**
+     * Set names of uniform variables which can be animated.
+     * @param {Array<string>} names Names of uniform variables.
+     */
+    setCandidates(names) {
+      if (JSON.stringify(names) === JSON.stringify(this.#candidates)) {
+        return;
+      }
+      this.#candidates = names.slice();
+      this.refresh();
+    }
+
+    /**
+     * Update tracks and controls after the timeline is changed outside of the editor.
+     */
+    refresh() {
+      const names = Array.from(new Set([...this.#candidates, ...this.#timeline.trackNames]));
+      const selectedName = this.#trackSelect.value;
+      this.#trackSelect.replaceChildren(...names.map(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.innerText = name;
+        return option;
+      }));
+      if (names.indexOf(selectedName) !== -1) {
+        this.#trackSelect.value = selectedName;
+      }
+      this.#selectedIndex = -1;
+      this.#updateComponentSelect();
+      this.#updateKeyframeControls();
+      this.#container.style.display = names.length === 0 ? 'none' : '';
+      this.draw();
+    }
+
+    /**
+     * Draw the curve and the playhead.
+     * @param {number} time Current time in seconds (optional).
+     */
+    draw(time) {
+      if (typeof time !== 'undefined') {
+        this.#time = time;
+      }
+      const canvas = this.#canvas;
+      if (canvas.offsetParent === null) {
+        // Not visible.
+        return;
+      }
+      if (canvas.width !== canvas.clientWidth && canvas.clientWidth > 0) {
+        canvas.width = canvas.clientWidth;
+      }
+      const width = canvas.width;
+      const height = canvas.height;
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, width, height);
+
+      const name = this.#trackSelect.value;
+      const component = Number.parseInt(this.#componentSelect.value) || 0;
+      const keyframes = this.#timeline.getKeyframes(name);
+      if (!this.#isDragging) {
+        this.#viewDuration = Math.max(TimelineEditor.#minViewDuration, this.#timeline.duration * 1.1, this.#time * 1.1);
+        this.#valueRange = this.#computeValueRange(name, component, keyframes, width);
+      }
+      const toX = t => t / this.#viewDuration * width;
+      const toY = v => (1.0 - (v - this.#valueRange[0]) / (this.#valueRange[1] - this.#valueRange[0])) * height;
+
+      // Grid lines per second.
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let t = 1; t < this.#viewDuration; t++) {
+        ctx.moveTo(Math.floor(toX(t)) + 0.5, 0);
+        ctx.lineTo(Math.floor(toX(t)) + 0.5, height);
+      }
+      ctx.stroke();
+
+      if (keyframes.length > 0) {
+        ctx.strokeStyle = 'DeepSkyBlue';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let x = 0; x < width; x++) {
+          const value = this.#timeline.evaluateTrack(name, x / width * this.#viewDuration);
+          const y = toY(component < value.length ? value[component] : value[0]);
+          if (x === 0) {
+            ctx.moveTo(x, y);
+          } else {
+            ctx.lineTo(x, y);
+          }
+        }
+        ctx.stroke();
+
+        keyframes.forEach((keyframe, i) => {
+          const value = component < keyframe.value.length ? keyframe.value[component] : keyframe.value[0];
+          ctx.fillStyle = i === this.#selectedIndex ? 'orange' : 'white';
+          ctx.fillRect(toX(keyframe.time) - 3, toY(value) - 3, 7, 7);
+        });
+      }
+
+      ctx.strokeStyle = 'red';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(Math.floor(toX(this.#time)) + 0.5, 0);
+      ctx.lineTo(Math.floor(toX(this.#time)) + 0.5, height);
+      ctx.stroke();
+
+      ctx.fillStyle = 'white';
+      ctx.font = '10px monospace';
+      ctx.fillText(this.#valueRange[1].toFixed(3), 2, 10);
+      ctx.fillText(this.#valueRange[0].toFixed(3), 2, height - 2);
+      ctx.fillText(this.#time.toFixed(3) + 's', Math.min(toX(this.#time) + 3, width - 48), 10);
+    }
+
+    /**
+     * Compute the range of the value axis to contain the whole curve.
+     * @param {string} name Name of uniform variable.
+     * @param {number} component Index of the component.
+     * @param {Array<Object>} keyframes Keyframes of the track.
+     * @param {number} width Width of the canvas.
+     * @return {Array<number>} Minimum and maximum of the value axis.
+     */
+    #computeValueRange(name, component, keyframes, width) {
+      const values = [];
+      if (keyframes.length > 0) {
+        // Sample the curve since Bezier easing may overshoot.
+        for (let x = 0; x < width; x += 4) {
+          const value = this.#timeline.evaluateTrack(name, x / width * this.#viewDuration);
+          values.push(component < value.length ? value[component] : value[0]);
+        }
+      } else {
+        const value = this.#getValue(name);
+        if (Array.isArray(value) && component < value.length) {
+          values.push(value[component]);
+        }
+      }
+      if (values.length === 0) {
+        return [0.0, 1.0];
+      }
+      let min = Math.min(...values);
+      let max = Math.max(...values);
+      if (max - min < 1.0e-6) {
+        min -= 1.0;
+        max += 1.0;
+      }
+      const margin = (max - min) * 0.1;
+      return [min - margin, max + margin];
+    }
+
+    /**
+     * Update options of the component select according to the selected track.
+     */
+    #updateComponentSelect() {
+      const name = this.#trackSelect.value;
+      const keyframes = this.#timeline.getKeyframes(name);
+      const value = keyframes.length > 0 ? keyframes[0].value : this.#getValue(name);
+      const count = Array.isArray(value) ? value.length : 1;
+      const selected = this.#componentSelect.value;
+      this.#componentSelect.replaceChildren(...Array.from({length: count}, (_, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.innerText = count === 1 ? 'value' : 'xyzw'[i] || String(i);
+        return option;
+      }));
+      if (Number.parseInt(selected) < count) {
+        this.#componentSelect.value = selected;
+      }
+      this.#componentSelect.disabled = count === 1;
+    }
+
+    /**
+     * Update controls of the selected keyframe.
+     */
+    #updateKeyframeControls() {
+      const keyframes = this.#timeline.getKeyframes(this.#trackSelect.value);
+      const keyframe = this.#selectedIndex === -1 ? null : keyframes[this.#selectedIndex];
+      this.#interpolationSelect.disabled = keyframe === null;
+      if (keyframe !== null) {
+        this.#interpolationSelect.value = keyframe.interpolation;
+      }
+      const isBezier = keyframe !== null && keyframe.interpolation === 'bezier';
+      this.#bezierInputs.forEach((input, i) => {
+        input.style.display = isBezier ? '' : 'none';
+        if (isBezier) {
+          input.value = keyframe.bezier[i];
+        }
+      });
+    }
+
+    /**
+     * Update properties of the selected keyframe.
+     * @param {Object} props Properties to update.
+     */
+    #updateSelectedKeyframe(props) {
+      if (this.#selectedIndex === -1) {
+        return;
+      }
+      this.#selectedIndex = this.#timeline.updateKeyframe(this.#trackSelect.value, this.#selectedIndex, props);
+      this.#updateKeyframeControls();
+      this.draw();
+    }
+
+    /**
+     * Add a keyframe at the current time with the current value of the selected uniform variable.
+     */
+    #addKeyframeAtCurrentTime() {
+      const name = this.#trackSelect.value;
+      if (name === '') {
+        return;
+      }
+      let value = this.#getValue(name);
+      if (!Array.isArray(value)) {
+        value = this.#timeline.evaluateTrack(name, this.#time);
+      }
+      if (value === null) {
+        return;
+      }
+      this.#selectedIndex = this.#timeline.setKeyframe(name, this.#time, value);
+      this.#updateComponentSelect();
+      this.#updateKeyframeControls();
+      this.draw();
+    }
+
+    /**
+     * Convert a pointer position into time and value.
+     * @param {PointerEvent} e Pointer event.
+     * @return {Array<number>} Time and value.
+     */
+    #toTimeValue(e) {
+      const rect = this.#canvas.getBoundingClientRect();
+      const u = (e.clientX - rect.left) / rect.width;
+      const v = 1.0 - (e.clientY - rect.top) / rect.height;
+      return [
+        Math.max(u * this.#viewDuration, 0.0),
+        this.#valueRange[0] + (this.#valueRange[1] - this.#valueRange[0]) * v
+      ];
+    }
+
+    /**
+     * Select a keyframe under the pointer and start to drag it.
+     * @param {PointerEvent} e Pointer event.
+     */
+    #onPointerDown(e) {
+      const rect = this.#canvas.getBoundingClientRect();
+      const name = this.#trackSelect.value;
+      const component = Number.parseInt(this.#componentSelect.value) || 0;
+      const radius = TimelineEditor.#pickRadius;
+      this.#selectedIndex = this.#timeline.getKeyframes(name).findIndex(keyframe => {
+        const value = component < keyframe.value.length ? keyframe.value[component] : keyframe.value[0];
+        const x = keyframe.time / this.#viewDuration * rect.width;
+        const y = (1.0 - (value - this.#valueRange[0]) / (this.#valueRange[1] - this.#valueRange[0])) * rect.height;
+        return Math.abs(x - (e.clientX - rect.left)) <= radius && Math.abs(y - (e.clientY - rect.top)) <= radius;
+      });
+      if (this.#selectedIndex !== -1) {
+        this.#isDragging = true;
+        this.#canvas.setPointerCapture(e.pointerId);
+      }
+      this.#updateKeyframeControls();
+      this.draw();
+    }
+
+    /**
+     * Move the dragged keyframe.
+     * @param {PointerEvent} e Pointer event.
+     */
+    #onPointerMove(e) {
+      if (!this.#isDragging || this.#selectedIndex === -1) {
+        return;
+      }
+      const name = this.#trackSelect.value;
+      const component = Number.parseInt(this.#componentSelect.value) || 0;
+      const [time, value] = this.#toTimeValue(e);
+      const values = this.#timeline.getKeyframes(name)[this.#selectedIndex].value;
+      values[Math.min(component, values.length - 1)] = value;
+      this.#selectedIndex = this.#timeline.updateKeyframe(name, this.#selectedIndex, {time: time, value: values});
+      this.draw();
+    }
+
+    /**
+     * Add a keyframe on the curve at the time under the pointer.
+     * @param {MouseEvent} e Mouse event.
+     */
+    #onDoubleClick(e) {
+      const name = this.#trackSelect.value;
+      if (name === '' || this.#selectedIndex !== -1) {
+        return;
+      }
+      const [time, value] = this.#toTimeValue(e);
+      let values = this.#timeline.evaluateTrack(name, time);
+      if (values === null) {
+        values = this.#getValue(name);
+        values = Array.isArray(values) ? values.slice() : [value];
+      }
+      const component = Number.parseInt(this.#componentSelect.value) || 0;
+      values[Math.min(component, values.length - 1)] = value;
+      this.#selectedIndex = this.#timeline.setKeyframe(name, time, values);
+      this.#updateComponentSelect();
+      this.#updateKeyframeControls();
+      this.draw();
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('TimelineEditor.noConflict only works when TimelineEditor is used as a global');
+    }
+  }
+});
@@ -80,11 +80,25 @@
           return Twigl.convertGeekerFs300es(code);
         case 'geekest-300es':
           return Twigl.convertGeekestFs300es(code);
+        case 'geeker-mrt':
+          return Twigl.convertGeekerFsMrt(code);
+        case 'geekest-mrt':
+          return Twigl.convertGeekestFsMrt(code);
         default:
+          // classic, classic-300es, classic-mrt, geek, geek-300es and geek-mrt are complete sources.
           return code;
       }
     }
 
+    /**
+     * Get the number of output colors of twigl source type.
+     * @param {string} type twigl source type.
+     * @return {number} 4 for MRT types, otherwise 1.
+     */
+    static getOutputCount(type) {
+      return type.endsWith('-mrt') ? 4 : 1;
+    }
+
     /**
      * Convert twigl geeker fragment shader source to GLSL ES fragment shader source
      * @param {string} code twigl geeker fragment shader source.
@@ -169,6 +183,62 @@ ${code}
   `;
     }
 
+    /**
+     * Convert twigl geeker(MRT) fragment shader source to GLSL ES 3.0 fragment shader source.
+     * @param {string} code twigl geeker(MRT) fragment shader source.
+     * @return GLSL ES 3.0 fragment shader source.
+     */
+    static convertGeekerFsMrt(code) {
+      return `#version 300 es
+precision highp float;
+uniform vec2 r;  // Screen resolution.
+uniform vec2 m;  // Mouse position.
+uniform float t;  // Elapsed time.
+uniform float f;  // Frame count.
+uniform float s;  // Sound frequency.
+uniform sampler2D b0;  // Back buffer of o0.
+uniform sampler2D b1;  // Back buffer of o1.
+uniform sampler2D b2;  // Back buffer of o2.
+uniform sampler2D b3;  // Back buffer of o3.
+layout (location = 0) out vec4 o0;  // Output color.
+layout (location = 1) out vec4 o1;  // Output to b1.
+layout (location = 2) out vec4 o2;  // Output to b2.
+layout (location = 3) out vec4 o3;  // Output to b3.
+#line 1
+${code}
+`;
+    }
+
+    /**
+     * Convert twigl geekest(MRT) fragment shader source to GLSL ES 3.0 fragment shader source.
+     * @param {string} code twigl geekest(MRT) fragment shader source.
+     * @return GLSL ES 3.0 fragment shader source.
+     */
+    static convertGeekestFsMrt(code) {
+      return `#version 300 es
+precision highp float;
+uniform vec2 r;  // Screen resolution.
+uniform vec2 m;  // Mouse position.
+uniform float t;  // Elapsed time.
+uniform float f;  // Frame count.
+uniform float s;  // Sound frequency.
+uniform sampler2D b0;  // Back buffer of o0.
+uniform sampler2D b1;  // Back buffer of o1.
+uniform sampler2D b2;  // Back buffer of o2.
+uniform sampler2D b3;  // Back buffer of o3.
+layout (location = 0) out vec4 o0;  // Output color.
+layout (location = 1) out vec4 o1;  // Output to b1.
+layout (location = 2) out vec4 o2;  // Output to b2.
+layout (location = 3) out vec4 o3;  // Output to b3.
+#define FC gl_FragCoord
+${Twigl.glNoiseLibrary}
+void main() {
+#line 1
+${code}
+}
+`;
+    }
+
     /**
      * GLSL noise library.
      * @type {string}
@@ -0,0 +1,207 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the UniformInspector API
+  // and when executed as a simple <script>, it creates a UniformInspector global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeUniformInspector = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous UniformInspector global
+    // and initialize UniformInspector as a global.
+    const prevDefinition = global.UniformInspector;
+    global.UniformInspector = moduleDef();
+
+    // Add a noConflict function so UniformInspector can be removed from
+    // the global namespace.
+    global.UniformInspector.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.UniformInspector;
+      } else {
+        global.UniformInspector = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Table which shows active variables of shaders and their current values.
+   */
+  return class UniformInspector {
+    /**
+     * Container element of the table.
+     * @type {HTMLElement}
+     */
+    #container;
+    /**
+     * JSON string of the structure of the current rows to skip rebuilding the same table.
+     * @type {string}
+     */
+    #structureJson;
+    /**
+     * Cells to update every time, which are value and status cells of rows of uniforms.
+     * @type {Array<Object>}
+     */
+    #valueCells;
+
+    /**
+     * Create an empty table.
+     * @param {HTMLElement} container Container element of the table.
+     */
+    constructor(container) {
+      this.#container = container;
+      this.#structureJson = null;
+      this.#valueCells = [];
+    }
+
+    /**
+     * Show the result of inspect() of the renderer.
+     * Rows are rebuilt only if the variables are changed, otherwise only values are updated.
+     * @param {Object} info Active variables of the passes.
+     */
+    update(info) {
+      const structureJson = JSON.stringify([
+        info.passes.map(pass => [
+          pass.name,
+          pass.attributes,
+          pass.bindings || [],
+          pass.uniforms.map(uniform => [uniform.name, uniform.type, uniform.size])
+        ]),
+        info.unusedUniforms
+      ]);
+      if (structureJson !== this.#structureJson) {
+        this.#structureJson = structureJson;
+        this.#rebuild(info);
+      }
+
+      let i = 0;
+      for (const pass of info.passes) {
+        for (const uniform of pass.uniforms) {
+          const cells = this.#valueCells[i++];
+          cells.value.innerText = UniformInspector.#format(uniform.value);
+          cells.status.innerText = uniform.isSupplied ? '' : 'not supplied';
+          cells.row.classList.toggle('uniform-inspector-warning', !uniform.isSupplied);
+        }
+      }
+    }
+
+    /**
+     * Remove all rows.
+     */
+    clear() {
+      this.#structureJson = null;
+      this.#valueCells = [];
+      this.#container.replaceChildren();
+    }
+
+    /**
+     * Rebuild rows of the table.
+     * @param {Object} info Active variables of the passes.
+     */
+    #rebuild(info) {
+      const table = document.createElement('table');
+      table.className = 'uniform-inspector';
+      table.appendChild(UniformInspector.#createRow('th', ['Pass', 'Kind', 'Name', 'Type', 'Size', 'Value', 'Status']));
+
+      this.#valueCells = [];
+      for (const pass of info.passes) {
+        for (const attribute of pass.attributes) {
+          table.appendChild(UniformInspector.#createRow('td', [pass.name, 'attribute', attribute.name, attribute.type, attribute.size, '', '']));
+        }
+        for (const binding of pass.bindings || []) {
+          table.appendChild(UniformInspector.#createRow('td', [pass.name, 'binding', '@binding(' + binding.binding + ')', binding.type, 1, binding.resource, '']));
+        }
+        for (const uniform of pass.uniforms) {
+          const row = UniformInspector.#createRow('td', [pass.name, 'uniform', uniform.name, uniform.type, uniform.size, '', '']);
+          table.appendChild(row);
+          this.#valueCells.push({
+            row: row,
+            value: row.cells[5],
+            status: row.cells[6]
+          });
+        }
+      }
+      for (const name of info.unusedUniforms) {
+        const row = UniformInspector.#createRow('td', ['', 'uniform', name, '', '', '', 'not declared']);
+        row.classList.add('uniform-inspector-warning');
+        table.appendChild(row);
+      }
+
+      this.#container.replaceChildren(table);
+    }
+
+    /**
+     * Create a row of the table.
+     * @param {string} tagName Tag name of the cells, "th" or "td".
+     * @param {Array<string|number>} texts Texts of the cells.
+     * @return {HTMLTableRowElement} Created row.
+     */
+    static #createRow(tagName, texts) {
+      const row = document.createElement('tr');
+      for (const text of texts) {
+        const cell = document.createElement(tagName);
+        cell.innerText = text;
+        row.appendChild(cell);
+      }
+      return row;
+    }
+
+    /**
+     * Format a value of a uniform variable to show.
+     * @param {number|string|Array<number>} value Value, or null if not supplied.
+     * @return {string} Formatted string.
+     */
+    static #format(value) {
+      if (value === null) {
+        return '-';
+      }
+      if (typeof value === 'string') {
+        return value;
+      }
+      const values = typeof value === 'number' || typeof value === 'boolean' ? [value] : Array.from(value);
+      return values.map(x => typeof x === 'number' && !Number.isInteger(x) ? x.toFixed(4) : String(x)).join(', ');
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('UniformInspector.noConflict only works when UniformInspector is used as a global');
+    }
+  }
+});
@@ -0,0 +1,470 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the UniformPanel API
+  // and when executed as a simple <script>, it creates a UniformPanel global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeUniformPanel = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous UniformPanel global
+    // and initialize UniformPanel as a global.
+    const prevDefinition = global.UniformPanel;
+    global.UniformPanel = moduleDef();
+
+    // Add a noConflict function so UniformPanel can be removed from
+    // the global namespace.
+    global.UniformPanel.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.UniformPanel;
+      } else {
+        global.UniformPanel = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Panel of controls for uniform variables annotated in comments.
+   *
+   * An annotation is written in the comment at the end of a uniform declaration of GLSL
+   * or a member declaration of a WGSL struct.
+   * <pre>
+   * uniform float u_speed;  // @slider 0 10 1.5
+   * uniform vec3 col;  // @color #ff8000
+   * color: vec3f,  // @color
+   * </pre>
+   * Following annotations are supported.
+   * - @slider MIN MAX [DEFAULT [STEP]]: Sliders for a scalar or each component of a vector.
+   * - @color [#RRGGBB]: Color picker for vec3 and vec4, alpha is always 1.0.
+   * - @checkbox [true|false]: Checkbox for bool, int and float, the value is 1 or 0.
+   * - @pad [MIN MAX]: 2D pad for vec2, whose range is [0, 1] by default.
+   * Custom uniforms without annotations can be given to update(), which get sliders of [0, 1],
+   * or [0, 10] for integers.
+   */
+  return class UniformPanel {
+    /**
+     * Number of components and whether integer or not for each normalized type.
+     * @type {Object}
+     */
+    static #types = {
+      'float': {count: 1, isInt: false},
+      'int': {count: 1, isInt: true},
+      'bool': {count: 1, isInt: true},
+      'vec2': {count: 2, isInt: false},
+      'vec3': {count: 3, isInt: false},
+      'vec4': {count: 4, isInt: false},
+      'ivec2': {count: 2, isInt: true},
+      'ivec3': {count: 3, isInt: true},
+      'ivec4': {count: 4, isInt: true}
+    };
+    /**
+     * Container element of the panel.
+     * @type {HTMLElement}
+     */
+    #container;
+    /**
+     * Parameters of the current controls.
+     * @type {Array<Object>}
+     */
+    #params;
+    /**
+     * JSON string of the current parameters to skip rebuilding the same controls.
+     * @type {string}
+     */
+    #paramsJson;
+    /**
+     * Values of parameters, which are kept across rebuilds.
+     * The key consists of the name, the type and the annotation.
+     * @type {Map<string, Array<number>>}
+     */
+    #values;
+
+    /**
+     * Create an empty panel.
+     * @param {HTMLElement} container Container element of the panel.
+     */
+    constructor(container) {
+      this.#container = container;
+      this.#params = [];
+      this.#paramsJson = '[]';
+      this.#values = new Map();
+      container.style.display = 'none';
+    }
+
+    /**
+     * Parse annotations in shader source and rebuild controls if they are changed.
+     * The values of parameters whose name, type and annotation are not changed are kept.
+     * @param {string} source Shader source code.
+     * @param {Array<Object>} customUniforms Name and type of custom uniforms to show without annotations (optional).
+     */
+    update(source, customUniforms) {
+      const params = UniformPanel.parse(source);
+      for (const uniform of typeof customUniforms === 'undefined' ? [] : customUniforms) {
+        const param = UniformPanel.#defaultParam(uniform.name, uniform.type);
+        if (param !== null && !params.some(p => p.name === param.name)) {
+          params.push(param);
+        }
+      }
+      const paramsJson = JSON.stringify(params);
+      if (paramsJson === this.#paramsJson) {
+        return;
+      }
+      this.#params = params;
+      this.#paramsJson = paramsJson;
+      for (const param of params) {
+        const key = UniformPanel.#keyOf(param);
+        if (!this.#values.has(key)) {
+          this.#values.set(key, UniformPanel.#defaultValue(param));
+        }
+      }
+      this.#rebuild();
+    }
+
+    /**
+     * Get values of annotated uniform variables.
+     * @type {Object}
+     */
+    get values() {
+      const values = {};
+      for (const param of this.#params) {
+        values[param.name] = this.#values.get(UniformPanel.#keyOf(param));
+      }
+      return values;
+    }
+
+    /**
+     * Set values of annotated uniform variables and update controls.
+     * Names which are not annotated and values whose length differs from the type are ignored.
+     * @type {Object}
+     */
+    set values(values) {
+      for (const param of this.#params) {
+        const value = this.#values.get(UniformPanel.#keyOf(param));
+        const newValue = values[param.name];
+        if (Array.isArray(newValue) && newValue.length === value.length) {
+          newValue.forEach((x, i) => value[i] = Number(x));
+        }
+      }
+      this.#rebuild();
+    }
+
+    /**
+     * Rebuild controls of the current parameters.
+     */
+    #rebuild() {
+      const container = this.#container;
+      container.replaceChildren();
+      for (const param of this.#params) {
+        const key = UniformPanel.#keyOf(param);
+        const row = document.createElement('div');
+        row.className = 'uniform-panel-row';
+        const label = document.createElement('span');
+        label.className = 'uniform-panel-label';
+        label.innerText = param.name;
+        row.appendChild(label);
+        this.#createControls(param, this.#values.get(key)).forEach(control => row.appendChild(control));
+        container.appendChild(row);
+      }
+      container.style.display = this.#params.length === 0 ? 'none' : '';
+    }
+
+    /**
+     * Parse annotated uniform declarations of GLSL and struct members of WGSL.
+     * @param {string} source Shader source code.
+     * @return {Array<Object>} Parameters which have name, type, widget and args.
+     */
+    static parse(source) {
+      const params = [];
+      for (const line of source.split('\n')) {
+        const match = /^\s*uniform\s+(?:(?:lowp|mediump|highp)\s+)?(\w+)\s+(\w+)\s*;\s*\/\/\s*@(slider|color|checkbox|pad)\b(.*)$/.exec(line)
+          || /^\s*(?:@\w+\s*\([^)]*\)\s*)*(\w+)\s*:\s*([\w<>]+)\s*,?\s*\/\/\s*@(slider|color|checkbox|pad)\b(.*)$/.exec(line);
+        if (match === null) {
+          continue;
+        }
+        // GLSL declaration is "type name" and WGSL member is "name: type".
+        const isGlsl = match[0].trim().startsWith('uniform');
+        const type = UniformPanel.#normalizeType(isGlsl ? match[1] : match[2]);
+        const name = isGlsl ? match[2] : match[1];
+        if (type === null || params.some(param => param.name === name)) {
+          continue;
+        }
+        const param = {
+          name: name,
+          type: type,
+          widget: match[3],
+          args: match[4].trim().split(/\s+/).filter(arg => arg !== '')
+        };
+        if (UniformPanel.#isAvailable(param)) {
+          params.push(param);
+        }
+      }
+      return params;
+    }
+
+    /**
+     * Create a parameter of a custom uniform without annotation, whose widget is chosen by its type.
+     * @param {string} name Name of the uniform.
+     * @param {string} type GLSL or WGSL type name.
+     * @return {Object} Parameter which has name, type, widget and args, or null if the type is not supported.
+     */
+    static #defaultParam(name, type) {
+      const normalizedType = UniformPanel.#normalizeType(type);
+      if (normalizedType === null) {
+        return null;
+      }
+      if (normalizedType === 'bool') {
+        return {name: name, type: normalizedType, widget: 'checkbox', args: []};
+      }
+      return {
+        name: name,
+        type: normalizedType,
+        widget: 'slider',
+        args: UniformPanel.#types[normalizedType].isInt ? ['0', '10'] : ['0', '1']
+      };
+    }
+
+    /**
+     * Create controls of a parameter.
+     * @param {Object} param Parameter.
+     * @param {Array<number>} value Value of the parameter, which is updated by the controls.
+     * @return {Array<HTMLElement>} Created controls.
+     */
+    #createControls(param, value) {
+      const typeInfo = UniformPanel.#types[param.type];
+      switch (param.widget) {
+        case 'slider': {
+          const min = Number.parseFloat(param.args[0]);
+          const max = Number.parseFloat(param.args[1]);
+          const step = param.args.length > 3 ? param.args[3] : typeInfo.isInt ? '1' : 'any';
+          const controls = [];
+          for (let i = 0; i < typeInfo.count; i++) {
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = min;
+            slider.max = max;
+            slider.step = step;
+            slider.value = value[i];
+            const text = document.createElement('span');
+            text.className = 'uniform-panel-value';
+            text.innerText = UniformPanel.#format(value[i]);
+            slider.addEventListener('input', () => {
+              value[i] = Number.parseFloat(slider.value);
+              text.innerText = UniformPanel.#format(value[i]);
+            });
+            controls.push(slider, text);
+          }
+          return controls;
+        }
+        case 'color': {
+          const picker = document.createElement('input');
+          picker.type = 'color';
+          picker.value = '#' + value.slice(0, 3).map(x => Math.round(x * 255.0).toString(16).padStart(2, '0')).join('');
+          picker.addEventListener('input', () => {
+            const rgb = UniformPanel.#parseColor(picker.value);
+            value[0] = rgb[0];
+            value[1] = rgb[1];
+            value[2] = rgb[2];
+          });
+          return [picker];
+        }
+        case 'checkbox': {
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.checked = value[0] !== 0;
+          checkbox.addEventListener('change', () => {
+            value[0] = checkbox.checked ? 1 : 0;
+          });
+          return [checkbox];
+        }
+        case 'pad': {
+          const min = param.args.length > 0 ? Number.parseFloat(param.args[0]) : 0.0;
+          const max = param.args.length > 1 ? Number.parseFloat(param.args[1]) : 1.0;
+          const pad = document.createElement('div');
+          pad.className = 'uniform-panel-pad';
+          const handle = document.createElement('div');
+          handle.className = 'uniform-panel-pad-handle';
+          pad.appendChild(handle);
+          const text = document.createElement('span');
+          text.className = 'uniform-panel-value';
+          const updateHandle = () => {
+            handle.style.left = ((value[0] - min) / (max - min) * 100.0) + '%';
+            handle.style.top = ((1.0 - (value[1] - min) / (max - min)) * 100.0) + '%';
+            text.innerText = UniformPanel.#format(value[0]) + ', ' + UniformPanel.#format(value[1]);
+          };
+          const onPointer = e => {
+            if (e.buttons === 0) {
+              return;
+            }
+            const rect = pad.getBoundingClientRect();
+            const u = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0.0), 1.0);
+            const v = Math.min(Math.max((rect.bottom - e.clientY) / rect.height, 0.0), 1.0);
+            value[0] = min + (max - min) * u;
+            value[1] = min + (max - min) * v;
+            updateHandle();
+          };
+          pad.addEventListener('pointerdown', e => {
+            pad.setPointerCapture(e.pointerId);
+            onPointer(e);
+          });
+          pad.addEventListener('pointermove', onPointer);
+          updateHandle();
+          return [pad, text];
+        }
+        default:
+          return [];
+      }
+    }
+
+    /**
+     * Determine the annotation is available for the type or not.
+     * @param {Object} param Parameter.
+     * @return {boolean} True if available, otherwise false.
+     */
+    static #isAvailable(param) {
+      switch (param.widget) {
+        case 'slider':
+          return param.type !== 'bool' && param.args.length >= 2;
+        case 'color':
+          return param.type === 'vec3' || param.type === 'vec4';
+        case 'checkbox':
+          return UniformPanel.#types[param.type].count === 1;
+        case 'pad':
+          return param.type === 'vec2';
+        default:
+          return false;
+      }
+    }
+
+    /**
+     * Get default value of a parameter from its annotation.
+     * @param {Object} param Parameter.
+     * @return {Array<number>} Default value.
+     */
+    static #defaultValue(param) {
+      const count = UniformPanel.#types[param.type].count;
+      switch (param.widget) {
+        case 'slider': {
+          const min = Number.parseFloat(param.args[0]);
+          const x = param.args.length > 2 ? Number.parseFloat(param.args[2]) : min;
+          return new Array(count).fill(x);
+        }
+        case 'color': {
+          const rgb = param.args.length > 0 ? UniformPanel.#parseColor(param.args[0]) : [1.0, 1.0, 1.0];
+          return count === 4 ? [...rgb, 1.0] : rgb;
+        }
+        case 'checkbox':
+          return [param.args[0] === 'true' || param.args[0] === '1' ? 1 : 0];
+        case 'pad': {
+          const min = param.args.length > 0 ? Number.parseFloat(param.args[0]) : 0.0;
+          const max = param.args.length > 1 ? Number.parseFloat(param.args[1]) : 1.0;
+          return [(min + max) * 0.5, (min + max) * 0.5];
+        }
+        default:
+          return new Array(count).fill(0);
+      }
+    }
+
+    /**
+     * Normalize GLSL or WGSL type name.
+     * @param {string} type Type name.
+     * @return {string} Normalized type name, or null if not supported.
+     */
+    static #normalizeType(type) {
+      let match;
+      if (type in UniformPanel.#types) {
+        return type;
+      }
+      if (type === 'uint') {
+        return 'int';
+      }
+      if (type === 'f32') {
+        return 'float';
+      }
+      if (type === 'i32' || type === 'u32') {
+        return 'int';
+      }
+      if ((match = /^uvec([234])$/.exec(type)) !== null) {
+        return 'ivec' + match[1];
+      }
+      if ((match = /^vec([234])(?:<(f32|i32|u32)>|([fiu]))$/.exec(type)) !== null) {
+        return (match[2] === 'f32' || match[3] === 'f' ? 'vec' : 'ivec') + match[1];
+      }
+      return null;
+    }
+
+    /**
+     * Get the key of a parameter to keep its value.
+     * @param {Object} param Parameter.
+     * @return {string} Key string.
+     */
+    static #keyOf(param) {
+      return JSON.stringify([param.name, param.type, param.widget, param.args]);
+    }
+
+    /**
+     * Parse "#RRGGBB" into normalized RGB.
+     * @param {string} text Color string.
+     * @return {Array<number>} RGB in [0, 1].
+     */
+    static #parseColor(text) {
+      const match = /^#?([0-9a-fA-F]{6})$/.exec(text);
+      if (match === null) {
+        return [1.0, 1.0, 1.0];
+      }
+      const n = Number.parseInt(match[1], 16);
+      return [((n >> 16) & 0xff) / 255.0, ((n >> 8) & 0xff) / 255.0, (n & 0xff) / 255.0];
+    }
+
+    /**
+     * Format a value to show.
+     * @param {number} x Value.
+     * @return {string} Formatted string.
+     */
+    static #format(x) {
+      return Number.isInteger(x) ? x.toString() : x.toFixed(3);
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('UniformPanel.noConflict only works when UniformPanel is used as a global');
+    }
+  }
+});
@@ -0,0 +1,326 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the WebmWriter API
+  // and when executed as a simple <script>, it creates a WebmWriter global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeWebmWriter = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous WebmWriter global
+    // and initialize WebmWriter as a global.
+    const prevDefinition = global.WebmWriter;
+    global.WebmWriter = moduleDef();
+
+    // Add a noConflict function so WebmWriter can be removed from
+    // the global namespace.
+    global.WebmWriter.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.WebmWriter;
+      } else {
+        global.WebmWriter = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Muxer of encoded video chunks of WebCodecs into a WebM file.
+   *
+   * The file has one video track, and a cluster is started at each key frame.
+   * Cues are written at the end for seeking.
+   */
+  return class WebmWriter {
+    /**
+     * Dictionary from codec string of WebCodecs to codec ID of Matroska.
+     * @type {Object}
+     */
+    static #codecIds = {
+      'vp8': 'V_VP8',
+      'vp09': 'V_VP9',
+      'av01': 'V_AV1'
+    };
+    /**
+     * Scale of timecodes in nanoseconds, which makes timecodes in milliseconds.
+     * @type {number}
+     */
+    static #timecodeScale = 1000000;
+    /**
+     * Maximum relative timecode of a block in a cluster, which is signed 16 bit integer.
+     * @type {number}
+     */
+    static #maxRelativeTimecode = 32767;
+    /**
+     * Codec ID of Matroska.
+     * @type {string}
+     */
+    #codecId;
+    /**
+     * Width of video.
+     * @type {number}
+     */
+    #width;
+    /**
+     * Height of video.
+     * @type {number}
+     */
+    #height;
+    /**
+     * Frame rate of video.
+     * @type {number}
+     */
+    #frameRate;
+    /**
+     * Encoded frames, which have data, timecode in milliseconds and a key frame flag.
+     * @type {Array<Object>}
+     */
+    #frames;
+
+    /**
+     * Create writer.
+     * @param {string} codec Codec string of WebCodecs, e.g. "vp8" or "vp09.00.10.08".
+     * @param {number} width Width of video.
+     * @param {number} height Height of video.
+     * @param {number} frameRate Frame rate of video.
+     */
+    constructor(codec, width, height, frameRate) {
+      const prefix = Object.keys(WebmWriter.#codecIds).find(prefix => codec.startsWith(prefix));
+      if (typeof prefix === 'undefined') {
+        throw new Error('Unsupported codec for WebM: ' + codec);
+      }
+      this.#codecId = WebmWriter.#codecIds[prefix];
+      this.#width = width;
+      this.#height = height;
+      this.#frameRate = frameRate;
+      this.#frames = [];
+    }
+
+    /**
+     * Add an encoded video chunk, which is given to the output callback of VideoEncoder.
+     * Chunks must be added in the order of decoding.
+     * @param {EncodedVideoChunk} chunk Encoded video chunk.
+     */
+    addChunk(chunk) {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      this.#frames.push({
+        data: data,
+        timecode: Math.round(chunk.timestamp / 1000.0),
+        isKey: chunk.type === 'key'
+      });
+    }
+
+    /**
+     * Create WebM file from the added chunks.
+     * @return {Blob} WebM file.
+     */
+    finalize() {
+      const element = WebmWriter.#element;
+      const uint = WebmWriter.#uint;
+      const frameDuration = 1000.0 / this.#frameRate;
+      const lastTimecode = this.#frames.length === 0 ? 0 : this.#frames[this.#frames.length - 1].timecode;
+
+      const header = element(0x1a45dfa3, [
+        element(0x4286, uint(1)),  // EBMLVersion
+        element(0x42f7, uint(1)),  // EBMLReadVersion
+        element(0x42f2, uint(4)),  // EBMLMaxIDLength
+        element(0x42f3, uint(8)),  // EBMLMaxSizeLength
+        element(0x4282, WebmWriter.#string('webm')),  // DocType
+        element(0x4287, uint(2)),  // DocTypeVersion
+        element(0x4285, uint(2))  // DocTypeReadVersion
+      ]);
+
+      const info = element(0x1549a966, [
+        element(0x2ad7b1, uint(WebmWriter.#timecodeScale)),  // TimecodeScale
+        element(0x4489, WebmWriter.#float(lastTimecode + frameDuration)),  // Duration
+        element(0x4d80, WebmWriter.#string('previm-glsl')),  // MuxingApp
+        element(0x5741, WebmWriter.#string('previm-glsl'))  // WritingApp
+      ]);
+
+      const tracks = element(0x1654ae6b, [
+        element(0xae, [  // TrackEntry
+          element(0xd7, uint(1)),  // TrackNumber
+          element(0x73c5, uint(1)),  // TrackUID
+          element(0x83, uint(1)),  // TrackType: video
+          element(0x86, WebmWriter.#string(this.#codecId)),  // CodecID
+          element(0x23e383, uint(Math.round(frameDuration * 1000000.0))),  // DefaultDuration in nanoseconds
+          element(0xe0, [  // Video
+            element(0xb0, uint(this.#width)),  // PixelWidth
+            element(0xba, uint(this.#height))  // PixelHeight
+          ])
+        ])
+      ]);
+
+      // Start a new cluster at each key frame, or when the relative timecode overflows.
+      const clusters = [];
+      const cuePoints = [];
+      let position = WebmWriter.#byteLength(info) + WebmWriter.#byteLength(tracks);
+      let blocks = [];
+      let clusterTimecode = 0;
+      const flushCluster = () => {
+        if (blocks.length === 0) {
+          return;
+        }
+        const cluster = element(0x1f43b675, [element(0xe7, uint(clusterTimecode)), ...blocks]);
+        clusters.push(cluster);
+        position += WebmWriter.#byteLength(cluster);
+        blocks = [];
+      };
+      for (const frame of this.#frames) {
+        if (blocks.length === 0 || frame.isKey || frame.timecode - clusterTimecode > WebmWriter.#maxRelativeTimecode) {
+          flushCluster();
+          clusterTimecode = frame.timecode;
+          if (frame.isKey) {
+            cuePoints.push(element(0xbb, [  // CuePoint
+              element(0xb3, uint(frame.timecode)),  // CueTime
+              element(0xb7, [  // CueTrackPositions
+                element(0xf7, uint(1)),  // CueTrack
+                element(0xf1, uint(position))  // CueClusterPosition
+              ])
+            ]));
+          }
+        }
+        // SimpleBlock: track number, relative timecode, flags and frame data.
+        const blockHeader = new Uint8Array(4);
+        blockHeader[0] = 0x81;
+        new DataView(blockHeader.buffer).setInt16(1, frame.timecode - clusterTimecode);
+        blockHeader[3] = frame.isKey ? 0x80 : 0x00;
+        blocks.push(element(0xa3, [[blockHeader, frame.data]]));
+      }
+      flushCluster();
+
+      const cues = cuePoints.length === 0 ? [] : element(0x1c53bb6b, cuePoints);
+      const segment = element(0x18538067, [info, tracks, ...clusters, cues]);
+      return new Blob([...header, ...segment], {type: 'video/webm'});
+    }
+
+    /**
+     * Get the number of added chunks.
+     * @type {number}
+     */
+    get frameCount() {
+      return this.#frames.length;
+    }
+
+    /**
+     * Create an EBML element.
+     * @param {number} id Element ID including its length marker.
+     * @param {Uint8Array|Array} children Data of the element, or array of child elements.
+     * @return {Array<Uint8Array>} Byte arrays of the element.
+     */
+    static #element(id, children) {
+      const parts = children instanceof Uint8Array ? [children] : children.flat(Infinity);
+      const size = parts.reduce((sum, part) => sum + part.length, 0);
+      const idBytes = [];
+      for (let x = id; x > 0; x = Math.floor(x / 256)) {
+        idBytes.unshift(x % 256);
+      }
+      return [new Uint8Array(idBytes), WebmWriter.#vint(size), ...parts];
+    }
+
+    /**
+     * Get total length of byte arrays of an element.
+     * @param {Array<Uint8Array>} parts Byte arrays of an element.
+     * @return {number} Length in bytes.
+     */
+    static #byteLength(parts) {
+      return parts.reduce((sum, part) => sum + part.length, 0);
+    }
+
+    /**
+     * Encode size of an element as variable length integer.
+     * @param {number} value Size.
+     * @return {Uint8Array} Encoded bytes.
+     */
+    static #vint(value) {
+      let length = 1;
+      // All bits set to 1 is reserved for unknown size.
+      while (length < 8 && value >= Math.pow(2, 7 * length) - 1) {
+        length++;
+      }
+      const bytes = new Uint8Array(length);
+      let x = value;
+      for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = x % 256;
+        x = Math.floor(x / 256);
+      }
+      bytes[0] |= 0x80 >> (length - 1);
+      return bytes;
+    }
+
+    /**
+     * Encode unsigned integer in big endian with minimum length.
+     * @param {number} value Unsigned integer.
+     * @return {Uint8Array} Encoded bytes.
+     */
+    static #uint(value) {
+      const bytes = [];
+      for (let x = value; x > 0 || bytes.length === 0; x = Math.floor(x / 256)) {
+        bytes.unshift(x % 256);
+      }
+      return new Uint8Array(bytes);
+    }
+
+    /**
+     * Encode 64 bit float in big endian.
+     * @param {number} value Float value.
+     * @return {Uint8Array} Encoded bytes.
+     */
+    static #float(value) {
+      const bytes = new Uint8Array(8);
+      new DataView(bytes.buffer).setFloat64(0, value);
+      return bytes;
+    }
+
+    /**
+     * Encode string in UTF-8.
+     * @param {string} value String.
+     * @return {Uint8Array} Encoded bytes.
+     */
+    static #string(value) {
+      return new TextEncoder().encode(value);
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('WebmWriter.noConflict only works when WebmWriter is used as a global');
+    }
+  }
+});
@@ -81,6 +81,81 @@
       0, 2, 1,
       1, 2, 3
     ]);
+    /**
+     * Minimum size of the uniform buffer, in bytes.
+     * The buffer is laid out by the uniform struct declared in the shader.
+     * @type {number}
+     */
+    static #minUniformBufferSize = 16;
+    /**
+     * Layouts of bindings in group 0, which are available in shaders.
+     * @type {Object}
+     */
+    static #bindingLayouts = {
+      // Uniform variables.
+      0: {buffer: {type: 'uniform'}},
+      // Sampler for textures.
+      1: {sampler: {type: 'filtering'}},
+      // Audio texture.
+      2: {texture: {sampleType: 'float'}},
+      // Keyboard texture.
+      3: {texture: {sampleType: 'float'}},
+      // Back buffer texture, which is the previous frame.
+      4: {texture: {sampleType: 'float'}},
+      // Sampler for back buffer.
+      5: {sampler: {type: 'filtering'}}
+    };
+    /**
+     * Names of the resources bound to the bindings in group 0.
+     * @type {Object}
+     */
+    static #bindingResourceNames = {
+      0: 'uniforms',
+      1: 'sampler',
+      2: 'audio',
+      3: 'keyboard',
+      4: 'backBuffer',
+      5: 'backBufferSampler'
+    };
+    /**
+     * Width of audio texture, which is the number of FFT bins and waveform samples.
+     * @type {number}
+     */
+    static #audioTextureWidth = 512;
+    /**
+     * Height of audio texture, the first row is FFT and the second row is waveform.
+     * @type {number}
+     */
+    static #audioTextureHeight = 2;
+    /**
+     * Width of keyboard texture, which is the number of key codes.
+     * @type {number}
+     */
+    static #keyboardTextureWidth = 256;
+    /**
+     * Height of keyboard texture, the rows are held state, pressed state and toggle state.
+     * @type {number}
+     */
+    static #keyboardTextureHeight = 3;
+    /**
+     * Texture format of floating point output.
+     * @type {string}
+     */
+    static #floatFormat = 'rgba16float';
+    /**
+     * Names of members of the uniform struct which are filled by setUniforms() and setUniform() of the preview.
+     * The other members are custom uniforms.
+     * @type {Array<string>}
+     */
+    static #knownUniformNames = [
+      'time', 'mouse', 'mouseState', 'mouseButtons', 'wheel', 'pointers', 'pointerCount', 'resolution',
+      'frameCount', 'timeDelta', 'frameRate', 'date', 'sampleRate', 'sound', 'channelTime'
+    ];
+    /**
+     * First binding number of storage buffers and storage textures declared in shaders.
+     * @type {number}
+     */
+    static #firstStorageBinding = 6;
 
     /**
      * WebGPU context of canvas.
@@ -102,11 +177,36 @@
      * @type {GPURenderPipeline}
      */
     #pipeline;
+    /**
+     * Descriptor of #pipeline, from which the pipeline for floating point output is created.
+     * @type {GPURenderPipelineDescriptor}
+     */
+    #pipelineDescriptor = null;
+    /**
+     * GPU render pipeline for floating point output, which is created when it is needed.
+     * @type {GPURenderPipeline}
+     */
+    #floatPipeline = null;
+    /**
+     * A flag whether the output is rendered into a floating point texture instead of the canvas.
+     * @type {boolean}
+     */
+    #floatOutput = false;
+    /**
+     * Floating point texture of the output while #floatOutput is true, otherwise null.
+     * @type {GPUTexture}
+     */
+    #floatTexture = null;
     /**
      * GPUBuffer for vertex positions.
      * @type {GPUBuffer}
      */
     #verticesBuffer;
+    /**
+     * GPUBuffer for fragment coordinates of vertices in pixels of the whole image, which are changed by tile offset.
+     * @type {GPUBuffer}
+     */
+    #fragCoordsBuffer;
     /**
      * GPUBuffer for vertex indices.
      * @type {GPUBuffer}
@@ -118,15 +218,93 @@
      */
     #uniformBuffer;
     /**
-     * Bind group.
-     * @type {GPUBindGroup}
+     * Sampler for textures.
+     * @type {GPUSampler}
+     */
+    #sampler;
+    /**
+     * Texture of audio data.
+     * @type {GPUTexture}
      */
-    #bindGroup;
+    #audioTexture;
+    /**
+     * Texture of keyboard state.
+     * @type {GPUTexture}
+     */
+    #keyboardTexture;
+    /**
+     * Layout of bind group.
+     * @type {GPUBindGroupLayout}
+     */
+    #bindGroupLayout;
+    /**
+     * Bind groups, one for each texture of back buffers if the back buffer is used, otherwise only one.
+     * @type {Array<GPUBindGroup>}
+     */
+    #bindGroups = [];
+    /**
+     * Ping-pong textures of back buffers, which are created only if the back buffer is used.
+     * One of them is sampled as the previous frame while the other is rendered.
+     * @type {Array<GPUTexture>}
+     */
+    #backBuffers = [];
+    /**
+     * Index of the back buffer which holds the previous frame.
+     * @type {number}
+     */
+    #backBufferIndex = 0;
+    /**
+     * Storage buffers and storage textures declared in the shader, which have binding, name, type, layout,
+     * size (byte length of a buffer, or width and height of a texture which is null to follow the canvas) and resource.
+     * @type {Array<Object>}
+     */
+    #storageResources = [];
+    /**
+     * Compute pipelines of compute entry points with their workgroup counts, which are dispatched before the quad.
+     * @type {Array<Object>}
+     */
+    #computePipelines = [];
+    /**
+     * Layout of bind group of compute pipelines.
+     * @type {GPUBindGroupLayout}
+     */
+    #computeBindGroupLayout = null;
+    /**
+     * Bind groups of compute pipelines, one for each texture of back buffers if the back buffer is used.
+     * @type {Array<GPUBindGroup>}
+     */
+    #computeBindGroups = [];
     /**
      * Data array of uniform variables.
      * @type {Float32Array}
      */
     #uniformDataArray;
+    /**
+     * View of uniformDataArray to write integer values.
+     * @type {DataView}
+     */
+    #uniformDataView;
+    /**
+     * Reflected struct of the uniform variable, or null if not found.
+     * @type {Object}
+     */
+    #uniformStruct = null;
+    /**
+     * Dictionary from member name of the uniform struct to its value,
+     * which is written into the member of the same name at render().
+     * @type {Object}
+     */
+    #uniformValues = {};
+    /**
+     * Binding numbers declared in the shaders.
+     * @type {Array<number>}
+     */
+    #bindings = [];
+    /**
+     * Offset of the rendered area in the whole image.
+     * @type {Array<number>}
+     */
+    #tileOffset = [0.0, 0.0];
     /**
      * Vertex shader that succeeded to compile.
      * @type {String}
@@ -137,11 +315,36 @@
      * @type {String}
      */
     #fsSource = null;
+    /**
+     * Compilation messages of the last build, which are warnings and infos if it succeeded.
+     * @type {string}
+     */
+    #compilationMessages = '';
     /**
      * A flag whether shader has been already built or not.
      * @type {boolean}
      */
     #hasBuilt;
+    /**
+     * Begin measuring frametime.
+     * @type {function(): Object}
+     */
+    #beginMeasurement;
+    /**
+     * End measuring frametime.
+     * @type {function(Object, GPUCommandEncoder)}
+     */
+    #endMeasurement;
+    /**
+     * Update sum of frametime for moving average.
+     * @type {function()}
+     */
+    #updateFrametime;
+    /**
+     * Retrieve moving average value of frametime.
+     * @type {function(): number}
+     */
+    #retrieveFrametime;
 
     /**
      * Create WebGPU context from specified canvas.
@@ -155,6 +358,8 @@
       this.#webgpu.configure({
         device,
         format: presentationFormat,
+        // The frame rendered into the back buffer is copied to the canvas.
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_DST,
         alphaMode: 'premultiplied',
       });
       this.#device = device;
@@ -169,6 +374,11 @@
       verticesBuffer.unmap();
       this.#verticesBuffer = verticesBuffer;
 
+      this.#fragCoordsBuffer = device.createBuffer({
+        size: WgslQuadRenderer.#vertices.length / 4 * 2 * Float32Array.BYTES_PER_ELEMENT,
+        usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
+      });
+
       const indicesBuffer = device.createBuffer({
         size: WgslQuadRenderer.#triangles.byteLength,
         usage: GPUBufferUsage.INDEX,
@@ -179,79 +389,216 @@
       this.#indicesBuffer = indicesBuffer;
 
       const uniformBuffer = device.createBuffer({
-        // size: 6 * Float32Array.BYTES_PER_ELEMENT,
-        size: 8 * Float32Array.BYTES_PER_ELEMENT,  // 32 is minimum binding size.
+        size: WgslQuadRenderer.#minUniformBufferSize,
         usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
       });
       this.#uniformBuffer = uniformBuffer;
 
-      this.#uniformDataArray = new Float32Array(6);
+      this.#uniformDataArray = new Float32Array(WgslQuadRenderer.#minUniformBufferSize / Float32Array.BYTES_PER_ELEMENT);
+      this.#uniformDataView = new DataView(this.#uniformDataArray.buffer);
+
+      this.#sampler = device.createSampler({
+        magFilter: 'linear',
+        minFilter: 'linear',
+        addressModeU: 'clamp-to-edge',
+        addressModeV: 'clamp-to-edge'
+      });
+      this.#audioTexture = device.createTexture({
+        size: [WgslQuadRenderer.#audioTextureWidth, WgslQuadRenderer.#audioTextureHeight],
+        format: 'r8unorm',
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+      });
+      this.setAudioData(null);
+      this.#keyboardTexture = device.createTexture({
+        size: [WgslQuadRenderer.#keyboardTextureWidth, WgslQuadRenderer.#keyboardTextureHeight],
+        format: 'r8unorm',
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+      });
+      this.setKeyboardData(null);
 
       this.#hasBuilt = false;
+      this.disableMeasureFrametime();
     }
 
     /**
      * Build shader program.
+     * Messages of the shader compiler and validation errors of the pipeline are collected,
+     * and the returned promise is rejected with all of them if there are errors.
      * @param {string} fsSource Fragment shader source code.
      * @param {string} vsSource Vertex shader source code (optional).
+     * @return {Promise<void>} Promise resolved when the pipeline has been created.
      */
-    build(fsSource, vsSource) {
+    async build(fsSource, vsSource) {
       if (!vsSource) {
         vsSource = WgslQuadRenderer.vsDefaultText;
       }
 
       this.#hasBuilt = false;
+      this.#compilationMessages = '';
 
-      this.#pipeline = this.#device.createRenderPipeline({
-        layout: 'auto',
-        vertex: {
-          module: this.#device.createShaderModule({
-            code: vsSource
+      const vsModule = this.#device.createShaderModule({
+        code: vsSource
+      });
+      const fsModule = this.#device.createShaderModule({
+        code: fsSource
+      });
+      const vsInfo = await vsModule.getCompilationInfo();
+      const fsInfo = await fsModule.getCompilationInfo();
+      const compilationMessages = [
+        ...WgslQuadRenderer.#formatCompilationMessages(vsInfo.messages, 'VERTEX', vsSource),
+        ...WgslQuadRenderer.#formatCompilationMessages(fsInfo.messages, 'FRAGMENT', fsSource)
+      ].join('\n');
+      if (vsInfo.messages.some(message => message.type === 'error') || fsInfo.messages.some(message => message.type === 'error')) {
+        throw new Error(compilationMessages);
+      }
+
+      // Members are written at their offsets in the struct according to the alignment rules,
+      // so the buffer may have to be extended.
+      const uniformStruct = WgslQuadRenderer.#reflectUniformStruct(fsSource)
+        || WgslQuadRenderer.#reflectUniformStruct(vsSource);
+      const uniformBufferLength = uniformStruct === null ? 0 : uniformStruct.size / 4;
+      if (uniformBufferLength > this.#uniformDataArray.length) {
+        this.#uniformBuffer.destroy();
+        this.#uniformBuffer = this.#device.createBuffer({
+          size: uniformBufferLength * Float32Array.BYTES_PER_ELEMENT,
+          usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        const uniformDataArray = new Float32Array(uniformBufferLength);
+        uniformDataArray.set(this.#uniformDataArray);
+        this.#uniformDataArray = uniformDataArray;
+        this.#uniformDataView = new DataView(uniformDataArray.buffer);
+      }
+
+      // Layout is created from declarations explicitly since 'auto' drops bindings which are not used.
+      const bindings = WgslQuadRenderer.#parseBindings(vsSource + '\n' + fsSource);
+      const storageResources = WgslQuadRenderer.#parseStorageResources(fsSource);
+      const computeEntryPoints = WgslQuadRenderer.#parseComputeEntryPoints(fsSource);
+
+      const renderBindings = WgslQuadRenderer.#stageBindings(bindings, storageResources, false);
+      const computeBindings = WgslQuadRenderer.#stageBindings(bindings, storageResources, true);
+
+      // Validation errors of the layout and the pipeline are not thrown but reported to the error scope.
+      let bindGroupLayout;
+      let computeBindGroupLayout;
+      let pipelineDescriptor;
+      let pipeline;
+      let computePipelines;
+      let bindGroups;
+      let computeBindGroups;
+      let thrownError = null;
+      let error;
+      this.#device.pushErrorScope('validation');
+      try {
+        bindGroupLayout = this.#createBindGroupLayout(renderBindings, storageResources, GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT);
+        computeBindGroupLayout = computeEntryPoints.length === 0 ? null
+          : this.#createBindGroupLayout(computeBindings, storageResources, GPUShaderStage.COMPUTE);
+
+        pipelineDescriptor = {
+          layout: this.#device.createPipelineLayout({
+            bindGroupLayouts: [bindGroupLayout]
           }),
-          entryPoint: 'main',
-          buffers: [
-            {
-              arrayStride: 4 * 4,
-              attributes: [
-                {
-                  shaderLocation: 0,
-                  offset: 0,
-                  format: 'float32x4'
-                }
-              ]
+          vertex: {
+            module: vsModule,
+            entryPoint: 'main',
+            buffers: [
+              {
+                arrayStride: 4 * 4,
+                attributes: [
+                  {
+                    shaderLocation: 0,
+                    offset: 0,
+                    format: 'float32x4'
+                  }
+                ]
+              },
+              {
+                arrayStride: 2 * 4,
+                attributes: [
+                  {
+                    shaderLocation: 1,
+                    offset: 0,
+                    format: 'float32x2'
+                  }
+                ]
+              }
+            ]
+          },
+          fragment: {
+            module: fsModule,
+            entryPoint: 'main',
+            targets: [
+              {
+                format: this.#presentationFormat
+              }
+            ]
+          },
+          primitive: {
+            topology: 'triangle-list'
+          }
+        };
+        pipeline = this.#device.createRenderPipeline(pipelineDescriptor);
+        computePipelines = computeEntryPoints.map(entry => ({
+          pipeline: this.#device.createComputePipeline({
+            layout: this.#device.createPipelineLayout({
+              bindGroupLayouts: [computeBindGroupLayout]
+            }),
+            compute: {
+              module: fsModule,
+              entryPoint: entry.entryPoint
             }
-          ]
-        },
-        fragment: {
-          module: this.#device.createShaderModule({
-            code: fsSource
           }),
-          entryPoint: 'main',
-          targets: [
-            {
-              format: this.#presentationFormat
-            }
-          ]
-        },
-        primitive: {
-          topology: 'triangle-list'
+          workgroupCount: entry.workgroupCount
+        }));
+        if (bindings.indexOf(4) !== -1 && this.#backBuffers.length === 0) {
+          this.#resizeBackBuffers(this.#webgpu.canvas.width, this.#webgpu.canvas.height);
         }
-      });
+        // Resources of the same declaration are kept to continue simulations after rebuilding.
+        for (const resource of storageResources.filter(resource => resource.alias === null)) {
+          const oldResource = this.#storageResources.find(old => old.key === resource.key);
+          resource.resource = typeof oldResource === 'undefined'
+            ? this.#createStorageResource(resource, this.#webgpu.canvas.width, this.#webgpu.canvas.height)
+            : oldResource.resource;
+        }
+        bindGroups = this.#createBindGroups(bindGroupLayout, renderBindings, storageResources);
+        computeBindGroups = computeBindGroupLayout === null ? []
+          : this.#createBindGroups(computeBindGroupLayout, computeBindings, storageResources);
+      } catch (e) {
+        thrownError = e;
+      } finally {
+        // The scope must be popped even on exceptions, otherwise it swallows validation errors of later calls.
+        error = await this.#device.popErrorScope();
+      }
+      const isBuilt = thrownError === null && error === null;
+      const keptResources = (isBuilt ? storageResources : this.#storageResources).map(resource => resource.resource);
+      for (const resource of [...this.#storageResources, ...storageResources]) {
+        if (resource.alias === null && typeof resource.resource !== 'undefined' && keptResources.indexOf(resource.resource) === -1) {
+          resource.resource.destroy();
+        }
+      }
+      if (thrownError !== null) {
+        throw thrownError;
+      }
+      if (error !== null) {
+        throw new Error([compilationMessages, 'ERROR: ' + error.message].filter(message => message !== '').join('\n'));
+      }
 
-      this.#bindGroup = this.#device.createBindGroup({
-        layout: this.#pipeline.getBindGroupLayout(0),
-        entries: [
-          {
-            binding: 0, // @binding(0) in shader
-            resource: {
-              buffer: this.#uniformBuffer
-            }
-          }
-        ]
-      });
+      this.#pipeline = pipeline;
+      this.#pipelineDescriptor = pipelineDescriptor;
+      this.#floatPipeline = null;
+      this.#bindGroupLayout = bindGroupLayout;
+      this.#bindGroups = bindGroups;
+      this.#storageResources = storageResources;
+      this.#computePipelines = computePipelines;
+      this.#computeBindGroupLayout = computeBindGroupLayout;
+      this.#computeBindGroups = computeBindGroups;
+      this.#compilationMessages = compilationMessages;
 
       this.#vsSource = vsSource;
       this.#fsSource = fsSource;
+      this.#uniformStruct = uniformStruct;
+      this.#bindings = bindings;
+      // Clear values written in the layout of the previous struct.
+      this.#uniformDataArray.fill(0.0);
 
       this.#hasBuilt = true;
     }
@@ -264,15 +611,83 @@
      * @param {number} width Width of viewport.
      * @param {number} height Height of viewport.
      * @param {number} frameCount Frame count.
+     * @param {Object} customValues Dictionary from member name of the uniform struct to its value (optional).
      */
-    setUniforms(time, mx, my, width, height, frameCount) {
-      this.#uniformDataArray[0] = width;
-      this.#uniformDataArray[1] = height;
-      this.#uniformDataArray[2] = mx;
-      this.#uniformDataArray[3] = my;
-      this.#uniformDataArray[4] = time;
-      this.#uniformDataArray[5] = frameCount;
-      this.#device.queue.writeBuffer(this.#uniformBuffer, 0, this.#uniformDataArray);
+    setUniforms(time, mx, my, width, height, frameCount, customValues) {
+      const uniformValues = this.#uniformValues;
+      uniformValues.resolution = [width, height];
+      uniformValues.mouse = [mx, my];
+      uniformValues.time = [time];
+      uniformValues.frameCount = [frameCount];
+      if (typeof customValues !== 'undefined') {
+        Object.assign(uniformValues, customValues);
+      }
+    }
+
+    /**
+     * Set value of a uniform variable.
+     * The value is written into the member of the uniform struct of the same name wherever it is declared,
+     * and converted to the type of the member; lacking components are filled with zero and extra ones are dropped.
+     * Keys which are not members of the struct are ignored.
+     * @param {string} key Key of uniform variable, such as "timeDelta" or "date".
+     * @param {number|Array<number>} value Value of the uniform variable.
+     */
+    setUniform(key, value) {
+      this.#uniformValues[key] = value;
+    }
+
+    /**
+     * Set offset of the rendered area in the whole image.
+     * To render an image larger than the canvas in tiles, set the resolution of setUniforms()
+     * to the size of the whole image and render each tile with its offset.
+     * It offsets fragCoord of the default vertex shader, which is given by @location(1),
+     * but not @builtin(position).
+     * Note that the back buffer and storage resources hold only the current tile, see isTileable.
+     * @param {number} x Offset of X from the left (in pixels).
+     * @param {number} y Offset of Y from the bottom (in pixels).
+     */
+    setTileOffset(x, y) {
+      this.#tileOffset = [x, y];
+    }
+
+    /**
+     * Set audio data which is sampled from the texture of @binding(2) with the sampler of @binding(1).
+     * The texture is 512x2 and each texel has the value in the red channel;
+     * the first row is FFT and the second row is waveform.
+     * @param {Uint8Array} data 1024 bytes of audio data, or null to clear.
+     */
+    setAudioData(data) {
+      const width = WgslQuadRenderer.#audioTextureWidth;
+      const height = WgslQuadRenderer.#audioTextureHeight;
+      if (data === null) {
+        // Silence: no spectrum and the center of waveform.
+        data = new Uint8Array(width * height).fill(128, width);
+      }
+      this.#device.queue.writeTexture(
+        {texture: this.#audioTexture},
+        data,
+        {bytesPerRow: width},
+        [width, height]);
+    }
+
+    /**
+     * Set keyboard state which is loaded from the texture of @binding(3).
+     * The texture is 256x3 and the x coordinate is the key code;
+     * the red channel of the first row is 1.0 while the key is held down, that of the second row is 1.0
+     * only in the frame when the key is pressed, and that of the third row is toggled every time the key is pressed.
+     * @param {Uint8Array} data 768 bytes of keyboard state, or null to clear.
+     */
+    setKeyboardData(data) {
+      const width = WgslQuadRenderer.#keyboardTextureWidth;
+      const height = WgslQuadRenderer.#keyboardTextureHeight;
+      if (data === null) {
+        data = new Uint8Array(width * height);
+      }
+      this.#device.queue.writeTexture(
+        {texture: this.#keyboardTexture},
+        data,
+        {bytesPerRow: width},
+        [width, height]);
     }
 
     /**
@@ -281,8 +696,72 @@
      * @param {number} height Height of viewport.
      */
     render(width, height) {
+      this.#writeUniforms();
+      this.#device.queue.writeBuffer(this.#uniformBuffer, 0, this.#uniformDataArray);
+      this.#device.queue.writeBuffer(this.#fragCoordsBuffer, 0, this.#computeFragCoords(width, height));
+
+      if (this.#floatOutput) {
+        if (this.#floatTexture === null || this.#floatTexture.width !== width || this.#floatTexture.height !== height) {
+          if (this.#floatTexture !== null) {
+            this.#floatTexture.destroy();
+          }
+          this.#floatTexture = this.#device.createTexture({
+            size: [width, height],
+            format: WgslQuadRenderer.#floatFormat,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
+          });
+        }
+        if (this.#floatPipeline === null) {
+          this.#floatPipeline = this.#device.createRenderPipeline(Object.assign({}, this.#pipelineDescriptor, {
+            fragment: Object.assign({}, this.#pipelineDescriptor.fragment, {
+              targets: [{format: WgslQuadRenderer.#floatFormat}]
+            })
+          }));
+        }
+      }
+
+      // The frame is rendered into the other back buffer and copied to the canvas,
+      // except floating point output which does not update the back buffer.
+      const useBackBuffer = this.#bindings.indexOf(4) !== -1;
+      let isResized = false;
+      if (useBackBuffer && (this.#backBuffers[0].width !== width || this.#backBuffers[0].height !== height)) {
+        this.#resizeBackBuffers(width, height);
+        isResized = true;
+      }
+      for (const resource of this.#storageResources.filter(resource => resource.alias === null)) {
+        if (resource.size === null && (resource.resource.width !== width || resource.resource.height !== height)) {
+          resource.resource.destroy();
+          resource.resource = this.#createStorageResource(resource, width, height);
+          isResized = true;
+        }
+      }
+      if (isResized) {
+        this.#bindGroups = this.#createBindGroups(this.#bindGroupLayout,
+          WgslQuadRenderer.#stageBindings(this.#bindings, this.#storageResources, false), this.#storageResources);
+        if (this.#computeBindGroupLayout !== null) {
+          this.#computeBindGroups = this.#createBindGroups(this.#computeBindGroupLayout,
+            WgslQuadRenderer.#stageBindings(this.#bindings, this.#storageResources, true), this.#storageResources);
+        }
+      }
+      const backBufferIndex = this.#backBufferIndex;
+      const renderTarget = this.#floatOutput ? this.#floatTexture
+        : useBackBuffer ? this.#backBuffers[1 - backBufferIndex]
+        : this.#webgpu.getCurrentTexture();
+
       const commandEncoder = this.#device.createCommandEncoder();
-      const textureView = this.#webgpu.getCurrentTexture().createView();
+      const bindGroupIndex = useBackBuffer ? backBufferIndex : 0;
+
+      if (this.#computePipelines.length > 0) {
+        const computePassEncoder = commandEncoder.beginComputePass();
+        computePassEncoder.setBindGroup(0, this.#computeBindGroups[bindGroupIndex]);
+        for (const computePipeline of this.#computePipelines) {
+          computePassEncoder.setPipeline(computePipeline.pipeline);
+          computePassEncoder.dispatchWorkgroups(...computePipeline.workgroupCount);
+        }
+        computePassEncoder.end();
+      }
+
+      const textureView = renderTarget.createView();
       const renderPassDescriptor = {
         colorAttachments: [
           {
@@ -293,33 +772,298 @@
           }
         ]
       };
+      const query = this.#beginMeasurement();
+      if (query !== null) {
+        renderPassDescriptor.timestampWrites = {
+          querySet: query.querySet,
+          beginningOfPassWriteIndex: 0,
+          endOfPassWriteIndex: 1
+        };
+      }
 
       const passEncoder = commandEncoder.beginRenderPass(renderPassDescriptor);
       passEncoder.setViewport(0.0, 0.0, width, height, 0.0, 1.0);
-      passEncoder.setPipeline(this.#pipeline);
-      passEncoder.setBindGroup(0, this.#bindGroup);
+      passEncoder.setPipeline(this.#floatOutput ? this.#floatPipeline : this.#pipeline);
+      passEncoder.setBindGroup(0, this.#bindGroups[bindGroupIndex]);
       passEncoder.setVertexBuffer(0, this.#verticesBuffer);
+      passEncoder.setVertexBuffer(1, this.#fragCoordsBuffer);
       passEncoder.setIndexBuffer(this.#indicesBuffer, 'uint16');
       passEncoder.drawIndexed(WgslQuadRenderer.#triangles.length);
       passEncoder.end();
 
+      if (useBackBuffer && !this.#floatOutput) {
+        commandEncoder.copyTextureToTexture(
+          {texture: renderTarget},
+          {texture: this.#webgpu.getCurrentTexture()},
+          [width, height]);
+        this.#backBufferIndex = 1 - backBufferIndex;
+      }
+
+      this.#endMeasurement(query, commandEncoder);
+      this.#device.queue.submit([commandEncoder.finish()]);
+      this.#updateFrametime();
+    }
+
+    /**
+     * Read RGBA pixels of the floating point output, which are not clamped to [0, 1].
+     * Call this method after render() while floatOutput is true.
+     * @param {number} width Width of the area to read.
+     * @param {number} height Height of the area to read.
+     * @return {Promise<Float32Array>} RGBA pixels from the top row to the bottom row.
+     */
+    async readFloatPixels(width, height) {
+      if (this.#floatTexture === null) {
+        throw new Error('Floating point output has not been rendered.');
+      }
+      // Each row of rgba16float has 8 bytes per pixel, and must be aligned to 256 bytes to copy.
+      const bytesPerRow = Math.ceil(width * 8 / 256) * 256;
+      const buffer = this.#device.createBuffer({
+        size: bytesPerRow * height,
+        usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+      });
+      const commandEncoder = this.#device.createCommandEncoder();
+      commandEncoder.copyTextureToBuffer(
+        {texture: this.#floatTexture},
+        {buffer: buffer, bytesPerRow: bytesPerRow},
+        [width, height]);
       this.#device.queue.submit([commandEncoder.finish()]);
+
+      await buffer.mapAsync(GPUMapMode.READ);
+      const halves = new Uint16Array(buffer.getMappedRange());
+      const pixels = new Float32Array(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        const offset = y * bytesPerRow / 2;
+        for (let i = 0; i < width * 4; i++) {
+          pixels[y * width * 4 + i] = WgslQuadRenderer.#halfToFloat(halves[offset + i]);
+        }
+      }
+      buffer.unmap();
+      buffer.destroy();
+      return pixels;
     }
 
     /**
-     * Enable measuring frametime (not supported).
+     * Inspect bindings and members of the uniform struct of the built pipeline and their current values.
+     *
+     * The result has following properties.
+     * - passes: Array of one pass which has name, attributes, bindings and uniforms.
+     *   An attribute has name, type and size, which is the array length.
+     *   A binding has binding number, type of the layout entry and name of the bound resource.
+     *   A uniform is a member of the uniform struct and additionally has value and isSupplied,
+     *   which is false if no value is given to it.
+     * - unusedUniforms: Names of uniforms and bindings which are given values but are not declared.
+     *
+     * @return {Object} Active variables of the pipeline.
+     */
+    inspect() {
+      if (!this.#hasBuilt) {
+        return {passes: [], unusedUniforms: []};
+      }
+
+      const members = this.#uniformStruct === null ? [] : this.#uniformStruct.members;
+      const view = this.#uniformDataView;
+      const uniforms = members.map(member => ({
+        name: member.name,
+        type: member.type,
+        size: 1,
+        // Padding between components is skipped.
+        value: member.offsets.map(offset => member.kind === 'i' ? view.getInt32(member.offset + offset, true)
+          : member.kind === 'u' ? view.getUint32(member.offset + offset, true)
+          : view.getFloat32(member.offset + offset, true)),
+        isSupplied: member.name in this.#uniformValues
+      }));
+
+      const bindings = this.#bindings.map(binding => {
+        const storage = this.#storageResources.find(resource => resource.binding === binding);
+        const layout = typeof storage === 'undefined' ? WgslQuadRenderer.#bindingLayouts[binding] : storage.layout;
+        const type = Object.keys(layout)[0];
+        return {
+          binding: binding,
+          type: type + '<' + Object.values(layout[type])[0] + '>',
+          resource: typeof storage === 'undefined' ? WgslQuadRenderer.#bindingResourceNames[binding]
+            : storage.alias === null ? storage.name : storage.name + ' (' + storage.alias + ')'
+        };
+      });
+
+      const memberNames = members.map(member => member.name);
+      const unusedUniforms = Object.keys(this.#uniformValues).filter(name => memberNames.indexOf(name) === -1);
+      for (const binding of Object.keys(WgslQuadRenderer.#bindingLayouts).map(Number)) {
+        if (this.#bindings.indexOf(binding) === -1) {
+          unusedUniforms.push('@binding(' + binding + ') ' + WgslQuadRenderer.#bindingResourceNames[binding]);
+        }
+      }
+
+      return {
+        passes: [
+          {
+            name: 'Image',
+            attributes: [
+              {name: '@location(0)', type: 'float32x4', size: 1},
+              {name: '@location(1)', type: 'float32x2', size: 1}
+            ],
+            bindings: bindings,
+            uniforms: uniforms
+          }
+        ],
+        unusedUniforms: unusedUniforms
+      };
+    }
+
+    /**
+     * Enable measuring frametime with timestamp queries of the render pass.
+     * It is available only if the device has been created with "timestamp-query" feature.
      * @param {number} size Window size of moving average for frametime.
      * @return {boolean} True if frametime measurement is available, otherwise false.
      */
     enableMeasureFrametime(size) {
-      return false;
+      const device = this.#device;
+      if (!device.features.has('timestamp-query')) {
+        return false;
+      }
+
+      // Queries are read back asynchronously, so some of them are in flight.
+      const maxQueryCount = 8;
+      const queries = [];
+      const availableList = [];
+      const usingList = [];
+
+      size = typeof size !== 'undefined' ? size : 60;
+      let count = 0;
+      let index = 0;
+      let sum = 0;
+      const dataArray = new Float64Array(size);
+      const append = value => {
+        if (count < dataArray.length) {
+          count++;
+        } else {
+          sum -= dataArray[index];
+        }
+        dataArray[index] = value;
+        sum += value;
+        index = (index + 1) % dataArray.length;
+      };
+
+      this.#retrieveFrametime = () => count === 0 ? 0 : sum / count;
+
+      this.#beginMeasurement = () => {
+        if (availableList.length > 0) {
+          return availableList.shift();
+        }
+        if (queries.length >= maxQueryCount) {
+          return null;
+        }
+        const query = {
+          querySet: device.createQuerySet({type: 'timestamp', count: 2}),
+          resolveBuffer: device.createBuffer({
+            size: 2 * BigUint64Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC
+          }),
+          readBuffer: device.createBuffer({
+            size: 2 * BigUint64Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+          })
+        };
+        queries.push(query);
+        return query;
+      };
+
+      this.#endMeasurement = (query, commandEncoder) => {
+        if (query === null) {
+          return;
+        }
+        commandEncoder.resolveQuerySet(query.querySet, 0, 2, query.resolveBuffer, 0);
+        commandEncoder.copyBufferToBuffer(query.resolveBuffer, 0, query.readBuffer, 0, query.readBuffer.size);
+        usingList.push(query);
+      };
+
+      this.#updateFrametime = () => {
+        for (const query of usingList.splice(0)) {
+          query.readBuffer.mapAsync(GPUMapMode.READ).then(() => {
+            const timestamps = new BigUint64Array(query.readBuffer.getMappedRange());
+            // Timestamps may be reordered or zero if they are not available.
+            if (timestamps[1] > timestamps[0] && timestamps[0] > 0n) {
+              append(Number(timestamps[1] - timestamps[0]));
+            }
+            query.readBuffer.unmap();
+            availableList.push(query);
+          }, () => {
+            // The buffer may not be mapped again, so the query is replaced with a new one.
+            query.querySet.destroy();
+            query.resolveBuffer.destroy();
+            query.readBuffer.destroy();
+            queries.splice(queries.indexOf(query), 1);
+          });
+        }
+      };
+
+      return true;
     }
 
     /**
-     * Disable measuring frametime (not supported).
+     * Disable measuring frametime.
      */
     disableMeasureFrametime() {
-      // Do nothing
+      this.#beginMeasurement = () => null;
+      this.#endMeasurement = (query, commandEncoder) => {};
+      this.#updateFrametime = () => {};
+      this.#retrieveFrametime = () => -1;
+    }
+
+    /**
+     * Get members of the uniform struct of the built shader which are not filled by the preview,
+     * whose values are given as custom values of setUniforms().
+     * @return {Array<Object>} Array of name and type of each member.
+     */
+    get customUniforms() {
+      const members = this.#uniformStruct === null ? [] : this.#uniformStruct.members;
+      return members
+        .filter(member => WgslQuadRenderer.#knownUniformNames.indexOf(member.name) === -1)
+        .map(member => ({name: member.name, type: member.type}));
+    }
+
+    /**
+     * Get a flag whether the image can be rendered in tiles by setTileOffset() or not.
+     * The back buffer and storage resources of compute passes hold only the current tile,
+     * and @builtin(position) of the fragment shader is not offset,
+     * so the image is not rendered correctly in tiles if they are used.
+     * @return {boolean} True if the image can be rendered in tiles, otherwise false.
+     */
+    get isTileable() {
+      const code = this.#fsSource === null ? ''
+        : this.#fsSource.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+      // A parameter or a struct member of @builtin(position) is used if its name appears other than its declaration.
+      const usesPosition = Array.from(code.matchAll(/@builtin\s*\(\s*position\s*\)\s*(\w+)/g))
+        .some(match => code.match(new RegExp('\\b' + match[1] + '\\b', 'g')).length > 1);
+      return this.#bindings.indexOf(4) === -1 && this.#storageResources.length === 0 && this.#computePipelines.length === 0
+        && !usesPosition;
+    }
+
+    /**
+     * Get a flag whether the output is rendered into a floating point texture instead of the canvas.
+     * @return {boolean} True if rendered into a floating point texture, otherwise false.
+     */
+    get floatOutput() {
+      return this.#floatOutput;
+    }
+
+    /**
+     * Set a flag whether the output is rendered into a floating point texture of rgba16float instead of the canvas,
+     * whose pixels are read by readFloatPixels().
+     */
+    set floatOutput(value) {
+      this.#floatOutput = value;
+      if (!value && this.#floatTexture !== null) {
+        this.#floatTexture.destroy();
+        this.#floatTexture = null;
+      }
+    }
+
+    /**
+     * Get a flag whether floating point output is supported or not, which is always true in WebGPU.
+     * @return {boolean} True if supported, otherwise false.
+     */
+    get isFloatOutputSupported() {
+      return true;
     }
 
     /**
@@ -331,11 +1075,19 @@
     }
 
     /**
-     * Get smoothed frametime (not supported).
+     * Compilation messages of the last successful build, such as warnings.
+     * @type {string}
+     */
+    get compilationMessages() {
+      return this.#compilationMessages;
+    }
+
+    /**
+     * Get smoothed frametime.
      * @return {number} Frametime in nanoseconds.
      */
     get frametime() {
-      return -1;
+      return this.#retrieveFrametime();
     }
 
     /**
@@ -377,7 +1129,10 @@
      */
     static async create(canvas) {
       const adapter = await navigator.gpu.requestAdapter();
-      const device = await adapter.requestDevice();
+      // Timestamp queries are requested to measure frametime if available.
+      const device = await adapter.requestDevice({
+        requiredFeatures: adapter.features.has('timestamp-query') ? ['timestamp-query'] : []
+      });
       const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
       return new WgslQuadRenderer(canvas, device, presentationFormat);
     }
@@ -392,27 +1147,533 @@
   @location(0) fragCoord : vec2<f32>
 }
 
-struct Uniforms {
-  resolution: vec2f,
-  mouse: vec2f,
-  time: f32,
-  frameCount: f32
-}
-@binding(0) @group(0) var<uniform> uniforms : Uniforms;
+// Members of the uniform struct are filled by name, so they can be declared in any order or omitted:
+//   struct Uniforms {
+//     resolution: vec2f,
+//     mouse: vec2f,
+//     time: f32,
+//     frameCount: u32,
+//     ...
+//   }
+
+// Bindings of group 0 which can be declared in shaders:
+//   @binding(0) var<uniform> uniforms: Uniforms;
+//   @binding(1) var textureSampler: sampler;
+//   @binding(2) var audioTexture: texture_2d<f32>;
+//   @binding(3) var keyboardTexture: texture_2d<f32>;
+//   @binding(4) var backBuffer: texture_2d<f32>;
+//   @binding(5) var backBufferSampler: sampler;
+//   @binding(6) and later: storage buffers and storage textures shared by @compute and @fragment entry points.
+// The back buffer is the previous frame, whose texture coordinates are flipped vertically from fragCoord.
 
 @vertex
 fn main(
-  @location(0) position: vec4f
+  @location(0) position: vec4f,
+  @location(1) fragCoord: vec2f
 ) -> VertexOutput {
   var output: VertexOutput;
   output.position = position;
-  output.fragCoord = (position.xy * vec2<f32>(0.5, 0.5) + vec2<f32>(0.5, 0.5)) * uniforms.resolution.xy;
+  output.fragCoord = fragCoord;
 
   return output;
 }
 `;
     }
 
+    /**
+     * Compute fragment coordinates of vertices in pixels of the whole image from the viewport size and the tile offset.
+     * @param {number} width Width of viewport.
+     * @param {number} height Height of viewport.
+     * @return {Float32Array} Fragment coordinates of vertices.
+     */
+    #computeFragCoords(width, height) {
+      const vertices = WgslQuadRenderer.#vertices;
+      const size = [width, height];
+      const fragCoords = new Float32Array(vertices.length / 4 * 2);
+      for (let i = 0; i < fragCoords.length; i++) {
+        const c = i % 2;
+        fragCoords[i] = (vertices[(i >> 1) * 4 + c] * 0.5 + 0.5) * size[c] + this.#tileOffset[c];
+      }
+      return fragCoords;
+    }
+
+    /**
+     * Write values of uniform variables into the members of the same names of the reflected uniform struct.
+     */
+    #writeUniforms() {
+      if (this.#uniformStruct === null) {
+        return;
+      }
+      const view = this.#uniformDataView;
+      for (const member of this.#uniformStruct.members) {
+        const value = this.#uniformValues[member.name];
+        if (typeof value === 'undefined') {
+          continue;
+        }
+        const values = typeof value === 'number' ? [value] : value;
+        member.offsets.forEach((offset, i) => {
+          const x = i < values.length ? Number(values[i]) : 0;
+          switch (member.kind) {
+            case 'i':
+              view.setInt32(member.offset + offset, x, true);
+              break;
+            case 'u':
+              view.setUint32(member.offset + offset, x, true);
+              break;
+            default:
+              view.setFloat32(member.offset + offset, x, true);
+              break;
+          }
+        });
+      }
+    }
+
+    /**
+     * Convert a half precision floating point number to a number.
+     * @param {number} half Bits of the half precision floating point number.
+     * @return {number} Converted number.
+     */
+    static #halfToFloat(half) {
+      const sign = (half & 0x8000) !== 0 ? -1.0 : 1.0;
+      const exponent = (half >> 10) & 0x1f;
+      const fraction = half & 0x03ff;
+      if (exponent === 0) {
+        return sign * fraction * Math.pow(2.0, -24);
+      } else if (exponent === 0x1f) {
+        return fraction === 0 ? sign * Infinity : NaN;
+      }
+      return sign * (1.0 + fraction / 1024.0) * Math.pow(2.0, exponent - 15);
+    }
+
+    /**
+     * Format compilation messages with the stage, the line number and the column,
+     * followed by the line of the source and a marker under the range.
+     * @param {Array<GPUCompilationMessage>} messages Compilation messages.
+     * @param {string} stage Name of the shader stage.
+     * @param {string} source Shader source code.
+     * @return {Array<string>} Formatted messages.
+     */
+    static #formatCompilationMessages(messages, stage, source) {
+      const lines = source.split(/\r?\n/);
+      return messages.map(message => {
+        if (message.lineNum === 0) {
+          return message.type.toUpperCase() + ': ' + stage + ': ' + message.message;
+        }
+        const text = message.type.toUpperCase() + ': ' + stage + ':' + message.lineNum + ':' + message.linePos + ': ' + message.message;
+        const line = lines[message.lineNum - 1];
+        if (typeof line === 'undefined') {
+          return text;
+        }
+        // Tabs are kept so that the marker is aligned with the line.
+        const indent = line.slice(0, message.linePos - 1).replace(/[^\t]/g, ' ');
+        const length = Math.max(Math.min(message.length, line.length - message.linePos + 1), 1);
+        return text + '\n' + line + '\n' + indent + '^'.repeat(length);
+      });
+    }
+
+    /**
+     * Recreate the textures of back buffers, which are cleared.
+     * @param {number} width Width of textures.
+     * @param {number} height Height of textures.
+     */
+    #resizeBackBuffers(width, height) {
+      this.#backBuffers.forEach(texture => texture.destroy());
+      this.#backBuffers = [0, 1].map(() => this.#device.createTexture({
+        size: [Math.max(width, 1), Math.max(height, 1)],
+        format: this.#presentationFormat,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_SRC
+      }));
+      this.#backBufferIndex = 0;
+    }
+
+    /**
+     * Create a storage buffer or a storage texture.
+     * @param {Object} resource Storage resource parsed by #parseStorageResources().
+     * @param {number} width Width of the texture which follows the canvas.
+     * @param {number} height Height of the texture which follows the canvas.
+     * @return {GPUBuffer|GPUTexture} Created buffer or texture, which is cleared.
+     */
+    #createStorageResource(resource, width, height) {
+      if ('buffer' in resource.layout) {
+        return this.#device.createBuffer({
+          size: resource.size,
+          usage: GPUBufferUsage.STORAGE
+        });
+      }
+      const size = resource.size === null ? [width, height] : resource.size;
+      return this.#device.createTexture({
+        size: [Math.max(size[0], 1), Math.max(size[1], 1)],
+        format: resource.layout.storageTexture.format,
+        usage: GPUTextureUsage.STORAGE_BINDING | GPUTextureUsage.TEXTURE_BINDING
+      });
+    }
+
+    /**
+     * Select bindings of the render pipeline or compute pipelines.
+     * Write-only storage textures are bound only to compute pipelines and aliases only to the render pipeline,
+     * so that a texture is not written and read in the same pass.
+     * @param {Array<number>} bindings Binding numbers.
+     * @param {Array<Object>} storageResources Storage resources declared at the bindings.
+     * @param {boolean} isCompute true to select bindings of compute pipelines.
+     * @return {Array<number>} Selected binding numbers.
+     */
+    static #stageBindings(bindings, storageResources, isCompute) {
+      return bindings.filter(binding => {
+        const storage = storageResources.find(resource => resource.binding === binding);
+        if (typeof storage === 'undefined') {
+          return true;
+        }
+        return isCompute ? storage.alias === null
+          : !('storageTexture' in storage.layout && storage.layout.storageTexture.access === 'write-only');
+      });
+    }
+
+    /**
+     * Create the layout of bind group of the bindings.
+     * @param {Array<number>} bindings Binding numbers.
+     * @param {Array<Object>} storageResources Storage resources declared at the bindings.
+     * @param {number} visibility Shader stages which access the bindings.
+     * @return {GPUBindGroupLayout} Created layout.
+     */
+    #createBindGroupLayout(bindings, storageResources, visibility) {
+      return this.#device.createBindGroupLayout({
+        entries: bindings.map(binding => {
+          const storage = storageResources.find(resource => resource.binding === binding);
+          // Writable storage is not allowed in the vertex stage.
+          return Object.assign({
+            binding: binding,
+            visibility: typeof storage === 'undefined' ? visibility : visibility & ~GPUShaderStage.VERTEX
+          }, typeof storage === 'undefined' ? WgslQuadRenderer.#bindingLayouts[binding] : storage.layout);
+        })
+      });
+    }
+
+    /**
+     * Create bind groups of the bindings, one for each back buffer as the previous frame if it is used.
+     * @param {GPUBindGroupLayout} layout Layout of bind group.
+     * @param {Array<number>} bindings Binding numbers.
+     * @param {Array<Object>} storageResources Storage resources to bind.
+     * @return {Array<GPUBindGroup>} Created bind groups.
+     */
+    #createBindGroups(layout, bindings, storageResources) {
+      const backBuffers = bindings.indexOf(4) !== -1 ? this.#backBuffers : [null];
+      return backBuffers.map(backBuffer => this.#device.createBindGroup({
+        layout: layout,
+        entries: bindings.map(binding => ({
+          binding: binding,
+          resource: this.#getBindingResource(binding, backBuffer, storageResources)
+        }))
+      }));
+    }
+
+    /**
+     * Get the resource bound to a binding of group 0.
+     * @param {number} binding Binding number.
+     * @param {GPUTexture} backBuffer Texture of the back buffer to bind as the previous frame.
+     * @param {Array<Object>} storageResources Storage resources to bind.
+     * @return {GPUBindingResource} Resource of the binding.
+     */
+    #getBindingResource(binding, backBuffer, storageResources) {
+      const storage = storageResources.find(resource => resource.binding === binding);
+      if (typeof storage !== 'undefined') {
+        const target = storage.alias === null ? storage : storageResources.find(resource => resource.name === storage.alias);
+        return 'buffer' in storage.layout ? {buffer: target.resource} : target.resource.createView();
+      }
+      switch (binding) {
+        case 0:
+          return {buffer: this.#uniformBuffer};
+        case 1:
+          return this.#sampler;
+        case 2:
+          return this.#audioTexture.createView();
+        case 3:
+          return this.#keyboardTexture.createView();
+        case 4:
+          return backBuffer.createView();
+        case 5:
+          return this.#sampler;
+        default:
+          throw new Error('Unsupported binding: @binding(' + binding + ')');
+      }
+    }
+
+    /**
+     * Parse binding numbers of resource variables declared in shader source.
+     * @param {string} source Shader source code.
+     * @return {Array<number>} Sorted binding numbers without duplicates.
+     */
+    static #parseBindings(source) {
+      const bindings = new Set();
+      // Strip comments not to parse commented-out declarations.
+      const code = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+      for (const match of code.matchAll(/((?:@\w+\s*\([^)]*\)\s*)+)var\b/g)) {
+        const group = /@group\s*\(\s*(\d+)\s*\)/.exec(match[1]);
+        const binding = /@binding\s*\(\s*(\d+)\s*\)/.exec(match[1]);
+        if (group === null || binding === null) {
+          continue;
+        }
+        if (group[1] !== '0') {
+          throw new Error('Only @group(0) is supported: @group(' + group[1] + ')');
+        }
+        const number = Number.parseInt(binding[1]);
+        if (!(number in WgslQuadRenderer.#bindingLayouts) && number < WgslQuadRenderer.#firstStorageBinding) {
+          throw new Error('Unsupported binding: @binding(' + number + ')');
+        }
+        bindings.add(number);
+      }
+      return Array.from(bindings).sort((a, b) => a - b);
+    }
+
+    /**
+     * Parse storage buffers and storage textures declared at @binding(6) or later.
+     * Their sizes are specified with directives in comments:
+     * <pre>
+     * // @buffer NAME BYTE_LENGTH
+     * // @texture NAME WIDTH HEIGHT
+     * // @alias NAME TARGET_NAME
+     * </pre>
+     * Without directives, the size of a buffer is computed from its type and a texture follows the size of the canvas.
+     * An alias binds the resource of another variable, e.g. a sampled texture to read a texture written by compute entry points.
+     * @param {string} source Shader source code.
+     * @return {Array<Object>} Storage resources which have binding, name, type, layout, size, alias and key to identify the declaration.
+     */
+    static #parseStorageResources(source) {
+      const bufferSizes = {};
+      for (const match of source.matchAll(/\/\/\s*@buffer\s+(\w+)\s+(\d+)/g)) {
+        bufferSizes[match[1]] = Number.parseInt(match[2]);
+      }
+      const textureSizes = {};
+      for (const match of source.matchAll(/\/\/\s*@texture\s+(\w+)\s+(\d+)\s+(\d+)/g)) {
+        textureSizes[match[1]] = [Number.parseInt(match[2]), Number.parseInt(match[3])];
+      }
+      const aliases = {};
+      for (const match of source.matchAll(/\/\/\s*@alias\s+(\w+)\s+(\w+)/g)) {
+        aliases[match[1]] = match[2];
+      }
+
+      const resources = [];
+      const code = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+      for (const match of code.matchAll(/((?:@\w+\s*\([^)]*\)\s*)+)var\s*(?:<([^>]*)>)?\s*(\w+)\s*:\s*([^;]+);/g)) {
+        const binding = /@binding\s*\(\s*(\d+)\s*\)/.exec(match[1]);
+        if (binding === null || Number.parseInt(binding[1]) < WgslQuadRenderer.#firstStorageBinding) {
+          continue;
+        }
+        const number = Number.parseInt(binding[1]);
+        const addressSpace = typeof match[2] === 'undefined' ? [] : match[2].split(',').map(s => s.trim());
+        const name = match[3];
+        const type = match[4].replace(/\s+/g, '');
+        let textureMatch;
+        if (addressSpace[0] === 'storage') {
+          const layout = WgslQuadRenderer.#typeLayout(type);
+          const size = name in bufferSizes ? bufferSizes[name] : layout === null ? null : layout.size;
+          if (size === null) {
+            throw new Error('Size of storage buffer is unknown: ' + name + ', specify it with "// @buffer ' + name + ' BYTE_LENGTH"');
+          }
+          resources.push({
+            binding: number,
+            name: name,
+            type: type,
+            layout: {buffer: {type: addressSpace[1] === 'read_write' ? 'storage' : 'read-only-storage'}},
+            // Size of buffer binding must be a multiple of 4.
+            size: Math.ceil(size / 4) * 4,
+            alias: name in aliases ? aliases[name] : null
+          });
+        } else if ((textureMatch = /^texture_storage_2d<(\w+),(\w+)>$/.exec(type)) !== null) {
+          resources.push({
+            binding: number,
+            name: name,
+            type: type,
+            layout: {
+              storageTexture: {
+                access: {read: 'read-only', write: 'write-only', read_write: 'read-write'}[textureMatch[2]],
+                format: textureMatch[1],
+                viewDimension: '2d'
+              }
+            },
+            size: name in textureSizes ? textureSizes[name] : null,
+            alias: name in aliases ? aliases[name] : null
+          });
+        } else if (/^texture_2d<\w+>$/.test(type) && name in aliases) {
+          // Sample type is resolved from the format of the target texture below.
+          resources.push({
+            binding: number,
+            name: name,
+            type: type,
+            layout: {texture: {viewDimension: '2d'}},
+            size: null,
+            alias: aliases[name]
+          });
+        } else {
+          throw new Error('Only storage buffers, storage textures and aliases are supported at @binding(' + number + '): ' + name);
+        }
+      }
+      for (const resource of resources.filter(resource => resource.alias !== null)) {
+        const target = resources.find(target => target.name === resource.alias && target.alias === null);
+        if (typeof target === 'undefined' || ('buffer' in target.layout) !== ('buffer' in resource.layout)) {
+          throw new Error('Target of alias is not a storage ' + ('buffer' in resource.layout ? 'buffer' : 'texture') + ': ' + resource.alias);
+        }
+        if ('texture' in resource.layout) {
+          const format = target.layout.storageTexture.format;
+          resource.layout.texture.sampleType = /uint$/.test(format) ? 'uint' : /sint$/.test(format) ? 'sint'
+            : /32float$/.test(format) ? 'unfilterable-float' : 'float';
+        }
+      }
+      for (const resource of resources) {
+        resource.key = JSON.stringify([resource.binding, resource.name, resource.type, resource.size, resource.alias]);
+      }
+      return resources;
+    }
+
+    /**
+     * Parse compute entry points and their workgroup counts specified with directives in comments.
+     * The workgroup counts are 1 if not specified, and omitted Y and Z are 1.
+     * <pre>
+     * // @dispatch ENTRY_POINT X [Y [Z]]
+     * </pre>
+     * @param {string} source Shader source code.
+     * @return {Array<Object>} Compute entry points which have entryPoint and workgroupCount in the order of declaration.
+     */
+    static #parseComputeEntryPoints(source) {
+      const workgroupCounts = {};
+      for (const match of source.matchAll(/\/\/\s*@dispatch\s+(\w+)((?:[ \t]+\d+){1,3})/g)) {
+        const counts = match[2].trim().split(/\s+/).map(count => Number.parseInt(count));
+        workgroupCounts[match[1]] = [counts[0], counts.length > 1 ? counts[1] : 1, counts.length > 2 ? counts[2] : 1];
+      }
+      const code = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+      return Array.from(code.matchAll(/((?:@\w+(?:\s*\([^)]*\))?\s*)+)fn\s+(\w+)/g))
+        .filter(match => /@compute\b/.test(match[1]))
+        .map(match => ({
+          entryPoint: match[2],
+          workgroupCount: match[2] in workgroupCounts ? workgroupCounts[match[2]] : [1, 1, 1]
+        }));
+    }
+
+    /**
+     * Compute the layout of the struct of the uniform variable at @group(0) @binding(0).
+     * Members of nested structs and arrays of them are not supported and an error is thrown.
+     * @param {string} source Shader source code.
+     * @return {Object} Members with name, type, offset and size in bytes and the size of the struct, or null if not found.
+     */
+    static #reflectUniformStruct(source) {
+      const code = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+      let typeName = null;
+      for (const match of code.matchAll(/((?:@\w+\s*\([^)]*\)\s*)+)var\s*<\s*uniform\s*>\s*\w+\s*:\s*(\w+)/g)) {
+        if (/@group\s*\(\s*0\s*\)/.test(match[1]) && /@binding\s*\(\s*0\s*\)/.test(match[1])) {
+          typeName = match[2];
+          break;
+        }
+      }
+      if (typeName === null) {
+        return null;
+      }
+      const structMatch = new RegExp('\\bstruct\\s+' + typeName + '\\s*\\{([^}]*)\\}').exec(code);
+      if (structMatch === null) {
+        return null;
+      }
+
+      // Split members by commas which are not in angle brackets.
+      const declarations = [];
+      let depth = 0;
+      let start = 0;
+      const body = structMatch[1];
+      for (let i = 0; i <= body.length; i++) {
+        const c = body[i];
+        if (c === '<') {
+          depth++;
+        } else if (c === '>') {
+          depth--;
+        } else if (i === body.length || (c === ',' && depth === 0)) {
+          declarations.push(body.slice(start, i));
+          start = i + 1;
+        }
+      }
+
+      const members = [];
+      let offset = 0;
+      let structAlign = 16;
+      for (const declaration of declarations) {
+        const match = /^\s*((?:@\w+\s*\([^)]*\)\s*)*)(\w+)\s*:\s*([\s\S]+?)\s*$/.exec(declaration);
+        if (match === null) {
+          continue;
+        }
+        const layout = WgslQuadRenderer.#typeLayout(match[3].replace(/\s+/g, ''));
+        if (layout === null) {
+          // Offsets of the following members would be unknown, which must not be filled silently.
+          throw new Error('Unsupported type of uniform struct member: ' + match[2] + ': ' + match[3].replace(/\s+/g, ''));
+        }
+        const alignMatch = /@align\s*\(\s*(\d+)\s*\)/.exec(match[1]);
+        const sizeMatch = /@size\s*\(\s*(\d+)\s*\)/.exec(match[1]);
+        const align = alignMatch === null ? layout.align : Number.parseInt(alignMatch[1]);
+        const size = sizeMatch === null ? layout.size : Number.parseInt(sizeMatch[1]);
+        offset = Math.ceil(offset / align) * align;
+        members.push({
+          name: match[2],
+          type: match[3].replace(/\s+/g, ''),
+          offset: offset,
+          size: size,
+          kind: layout.kind,
+          offsets: layout.offsets
+        });
+        offset += size;
+        structAlign = Math.max(structAlign, align);
+      }
+
+      return {
+        members: members,
+        size: Math.ceil(offset / structAlign) * structAlign
+      };
+    }
+
+    /**
+     * Get alignment and size of a WGSL type in the uniform address space.
+     * @param {string} type Type name without spaces.
+     * @return {Object} Alignment and size in bytes, kind of scalar ("f", "i" or "u")
+     *                  and byte offsets of scalars in the type, or null if not supported.
+     */
+    static #typeLayout(type) {
+      let match;
+      if ((match = /^(f32|i32|u32)$/.exec(type)) !== null) {
+        return {align: 4, size: 4, kind: match[1][0], offsets: [0]};
+      }
+      if ((match = /^vec([234])(?:<(f32|i32|u32)>|([fiu]))$/.exec(type)) !== null) {
+        const n = Number.parseInt(match[1]);
+        return {
+          align: n === 2 ? 8 : 16,
+          size: n * 4,
+          kind: typeof match[2] === 'undefined' ? match[3] : match[2][0],
+          offsets: Array.from({length: n}, (_, i) => i * 4)
+        };
+      }
+      if ((match = /^mat([234])x([234])(?:<f32>|f)$/.exec(type)) !== null) {
+        const columns = Number.parseInt(match[1]);
+        const rows = Number.parseInt(match[2]);
+        const align = rows === 2 ? 8 : 16;
+        // Columns are aligned as vectors.
+        const offsets = [];
+        for (let c = 0; c < columns; c++) {
+          for (let r = 0; r < rows; r++) {
+            offsets.push(c * align + r * 4);
+          }
+        }
+        return {align: align, size: columns * align, kind: 'f', offsets: offsets};
+      }
+      if ((match = /^array<(.+),(\d+)>$/.exec(type)) !== null) {
+        const element = WgslQuadRenderer.#typeLayout(match[1]);
+        if (element === null) {
+          return null;
+        }
+        const stride = Math.ceil(element.size / element.align) * element.align;
+        const length = Number.parseInt(match[2]);
+        return {
+          align: Math.max(16, element.align),
+          size: length * stride,
+          kind: element.kind,
+          offsets: Array.from({length: length}, (_, i) => element.offsets.map(offset => i * stride + offset)).flat()
+        };
+      }
+      return null;
+    }
+
     /**
      * noConflict() for non global.
      */
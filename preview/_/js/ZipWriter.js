@@ -0,0 +1,260 @@
+;(function(moduleDef) {
+  'use strict';
+
+  // https://github.com/kriskowal/q
+
+  // This file will function properly as a <script> tag,
+  // or a module using CommonJS and NodeJS or RequireJS module formats.
+  // In Common/Node/RequireJS, the module exports the ZipWriter API
+  // and when executed as a simple <script>, it creates a ZipWriter global instead.
+
+  if (typeof bootstrap === 'function') {
+    // Montage Require
+    bootstrap('promise', moduleDef);
+  } else if (typeof exports === 'object' && typeof module === 'object') {
+    // NodeJS or CommonJS
+    module.exports = moduleDef();
+  } else if (typeof define === 'function' && define.amd) {
+    // RequireJS
+    define(moduleDef);
+  } else if (typeof ses !== 'undefined') {
+    // SES (Secure EcmaScript)
+    if (!ses.ok()) {
+      return;
+    } else {
+      ses.makeZipWriter = moduleDef;
+    }
+  } else {
+    // <script>
+    // Prefer window over self for add-on scripts.
+    // Use self for non-windowed contexts.
+    let global = typeof window !== 'undefined' ? window
+      : typeof self !== 'undefined' ? self
+      : null;
+    if (global === null) {
+      // SpiderMonkey or Rhino
+      try {
+        global = Function('return this')();
+      } catch (Error) {
+        throw new Error('This environment was not anticipated by hoge.js.');
+      }
+    }
+
+    // Get the `window` object, save the previous ZipWriter global
+    // and initialize ZipWriter as a global.
+    const prevDefinition = global.ZipWriter;
+    global.ZipWriter = moduleDef();
+
+    // Add a noConflict function so ZipWriter can be removed from
+    // the global namespace.
+    global.ZipWriter.noConflict = function() {
+      if (typeof prevDefinition === 'undefined') {
+        delete global.ZipWriter;
+      } else {
+        global.ZipWriter = prevDefinition;
+      }
+      return this;
+    };
+  }
+})(function() {
+  'use strict';
+
+  /**
+   * Writer of a ZIP archive whose files are stored without compression.
+   *
+   * It is intended to archive already compressed files such as PNG images.
+   */
+  return class ZipWriter {
+    /**
+     * Table of CRC-32.
+     * @type {Uint32Array}
+     */
+    static #crcTable = null;
+    /**
+     * Stored files, which have name, data, CRC-32 and offset of the local header.
+     * @type {Array<Object>}
+     */
+    #files;
+    /**
+     * Total size of local headers and data written so far.
+     * @type {number}
+     */
+    #offset;
+    /**
+     * Modification time and date of files in MS-DOS format.
+     * @type {Array<number>}
+     */
+    #dosDateTime;
+
+    /**
+     * Create writer.
+     * @param {Date} date Modification date of files, or undefined for now.
+     */
+    constructor(date) {
+      this.#files = [];
+      this.#offset = 0;
+      this.#dosDateTime = ZipWriter.#toDosDateTime(typeof date === 'undefined' ? new Date() : date);
+    }
+
+    /**
+     * Add a file.
+     * @param {string} name Path name of the file in the archive.
+     * @param {Uint8Array} data Content of the file.
+     */
+    addFile(name, data) {
+      const nameBytes = new TextEncoder().encode(name);
+      const file = {
+        name: nameBytes,
+        data: data,
+        crc: ZipWriter.#crc32(data),
+        offset: this.#offset
+      };
+      this.#files.push(file);
+      this.#offset += 30 + nameBytes.length + data.length;
+    }
+
+    /**
+     * Get the number of files.
+     * @type {number}
+     */
+    get fileCount() {
+      return this.#files.length;
+    }
+
+    /**
+     * Finish archive.
+     * @return {Blob} ZIP file.
+     */
+    finalize() {
+      const parts = [];
+      for (const file of this.#files) {
+        parts.push(this.#localFileHeader(file), file.data);
+      }
+      let centralDirectorySize = 0;
+      for (const file of this.#files) {
+        const header = this.#centralDirectoryHeader(file);
+        centralDirectorySize += header.length;
+        parts.push(header);
+      }
+      parts.push(this.#endOfCentralDirectory(centralDirectorySize));
+      return new Blob(parts, {type: 'application/zip'});
+    }
+
+    /**
+     * Create a local file header.
+     * @param {Object} file File.
+     * @return {Uint8Array} Header.
+     */
+    #localFileHeader(file) {
+      const bytes = new Uint8Array(30 + file.name.length);
+      const view = new DataView(bytes.buffer);
+      view.setUint32(0, 0x04034b50, true);
+      view.setUint16(4, 20, true);
+      // Bit 11: file name is encoded in UTF-8.
+      view.setUint16(6, 0x0800, true);
+      view.setUint16(8, 0, true);
+      view.setUint16(10, this.#dosDateTime[0], true);
+      view.setUint16(12, this.#dosDateTime[1], true);
+      view.setUint32(14, file.crc, true);
+      view.setUint32(18, file.data.length, true);
+      view.setUint32(22, file.data.length, true);
+      view.setUint16(26, file.name.length, true);
+      view.setUint16(28, 0, true);
+      bytes.set(file.name, 30);
+      return bytes;
+    }
+
+    /**
+     * Create a central directory header.
+     * @param {Object} file File.
+     * @return {Uint8Array} Header.
+     */
+    #centralDirectoryHeader(file) {
+      const bytes = new Uint8Array(46 + file.name.length);
+      const view = new DataView(bytes.buffer);
+      view.setUint32(0, 0x02014b50, true);
+      view.setUint16(4, 20, true);
+      view.setUint16(6, 20, true);
+      view.setUint16(8, 0x0800, true);
+      view.setUint16(10, 0, true);
+      view.setUint16(12, this.#dosDateTime[0], true);
+      view.setUint16(14, this.#dosDateTime[1], true);
+      view.setUint32(16, file.crc, true);
+      view.setUint32(20, file.data.length, true);
+      view.setUint32(24, file.data.length, true);
+      view.setUint16(28, file.name.length, true);
+      view.setUint16(30, 0, true);
+      view.setUint16(32, 0, true);
+      view.setUint16(34, 0, true);
+      view.setUint16(36, 0, true);
+      view.setUint32(38, 0, true);
+      view.setUint32(42, file.offset, true);
+      bytes.set(file.name, 46);
+      return bytes;
+    }
+
+    /**
+     * Create an end of central directory record.
+     * @param {number} centralDirectorySize Size of central directory.
+     * @return {Uint8Array} Record.
+     */
+    #endOfCentralDirectory(centralDirectorySize) {
+      const bytes = new Uint8Array(22);
+      const view = new DataView(bytes.buffer);
+      view.setUint32(0, 0x06054b50, true);
+      view.setUint16(4, 0, true);
+      view.setUint16(6, 0, true);
+      view.setUint16(8, this.#files.length, true);
+      view.setUint16(10, this.#files.length, true);
+      view.setUint32(12, centralDirectorySize, true);
+      view.setUint32(16, this.#offset, true);
+      view.setUint16(20, 0, true);
+      return bytes;
+    }
+
+    /**
+     * Calculate CRC-32 of data.
+     * @param {Uint8Array} data Data.
+     * @return {number} CRC-32.
+     */
+    static #crc32(data) {
+      if (ZipWriter.#crcTable === null) {
+        const table = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+          let c = i;
+          for (let j = 0; j < 8; j++) {
+            c = (c & 1) !== 0 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+          }
+          table[i] = c;
+        }
+        ZipWriter.#crcTable = table;
+      }
+      const table = ZipWriter.#crcTable;
+      let crc = 0xffffffff;
+      for (let i = 0; i < data.length; i++) {
+        crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+      }
+      return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Convert date into MS-DOS format.
+     * @param {Date} date Date.
+     * @return {Array<number>} Time and date in MS-DOS format.
+     */
+    static #toDosDateTime(date) {
+      const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+      return [
+        (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+      ];
+    }
+
+    /**
+     * noConflict() for non global.
+     */
+    static noConflict() {
+      throw new Error('ZipWriter.noConflict only works when ZipWriter is used as a global');
+    }
+  }
+});
@@ -14,6 +14,18 @@
    * Class definition of Twigl.
    */
   const Twigl = global.Twigl.noConflict();
+  /**
+   * Class definition of Shadertoy.
+   */
+  const Shadertoy = global.Shadertoy.noConflict();
+  /**
+   * Class definition of GlslSandbox.
+   */
+  const GlslSandbox = global.GlslSandbox.noConflict();
+  /**
+   * Class definition of GlslCanvas.
+   */
+  const GlslCanvas = global.GlslCanvas.noConflict();
   /**
    * Class definition of GlslQuadRenderer.
    */
@@ -22,6 +34,63 @@
    * Class definition of WgslQuadRenderer.
    */
   const WgslQuadRenderer = global.WgslQuadRenderer.noConflict();
+  /**
+   * Class definition of AudioAnalyser.
+   */
+  const AudioAnalyser = global.AudioAnalyser.noConflict();
+  /**
+   * Class definition of SoundShaderPlayer.
+   */
+  const SoundShaderPlayer = global.SoundShaderPlayer.noConflict();
+  /**
+   * Class definition of KeyboardState.
+   */
+  const KeyboardState = global.KeyboardState.noConflict();
+  /**
+   * Class definition of PointerState.
+   */
+  const PointerState = global.PointerState.noConflict();
+  /**
+   * Class definition of UniformPanel.
+   */
+  const UniformPanel = global.UniformPanel.noConflict();
+  /**
+   * Class definition of UniformInspector.
+   */
+  const UniformInspector = global.UniformInspector.noConflict();
+  /**
+   * Class definition of Timeline.
+   */
+  const Timeline = global.Timeline.noConflict();
+  /**
+   * Class definition of TimelineEditor.
+   */
+  const TimelineEditor = global.TimelineEditor.noConflict();
+  /**
+   * Class definition of WebmWriter.
+   */
+  const WebmWriter = global.WebmWriter.noConflict();
+  /**
+   * Class definition of GifEncoder.
+   */
+  const GifEncoder = global.GifEncoder.noConflict();
+  /**
+   * Class definition of ZipWriter.
+   */
+  const ZipWriter = global.ZipWriter.noConflict();
+  /**
+   * Class definition of PngEncoder.
+   */
+  const PngEncoder = global.PngEncoder.noConflict();
+  /**
+   * Class definition of HdrImageEncoder.
+   */
+  const HdrImageEncoder = global.HdrImageEncoder.noConflict();
+  /**
+   * Maximum size of tiles of tiled rendering (in pixels of the canvas).
+   * @type {number}
+   */
+  const maxTileSize = 1024;
   /**
    * Animator.
    * @type {Animator}
@@ -77,6 +146,31 @@
    * @type {SVGElement}
    */
   let buttonStart;
+  /**
+   * Range input to seek time.
+   * @type {HTMLInputElement}
+   */
+  let seekBar;
+  /**
+   * A flag whether the seek bar is being dragged or not.
+   * @type {boolean}
+   */
+  let isSeeking = false;
+  /**
+   * Start of loop range which is set by the user (in milliseconds), or null if not set.
+   * @type {number}
+   */
+  let loopStartTime = null;
+  /**
+   * End of loop range which is set by the user (in milliseconds), or null if not set.
+   * @type {number}
+   */
+  let loopEndTime = null;
+  /**
+   * Time of the last rendered frame (in seconds), which is used to detect wrapping by loop range.
+   * @type {number}
+   */
+  let lastRenderedTime = 0.0;
   /**
    * Checkbox to switch VSync.
    * @type {HTMLInputElement}
@@ -102,6 +196,17 @@
    * @type {HTMLInputElement}
    */
   let imageHeightNumberInput;
+  /**
+   * Running export task, which is null unless exporting.
+   * It has a flag whether cancelled or not, and a function to stop recording in real time (null for offline export).
+   * @type {Object}
+   */
+  let exportTask = null;
+  /**
+   * Size of the whole image and offset of the canvas in it while rendering in tiles, which is null otherwise.
+   * @type {Object}
+   */
+  let renderTile = null;
   /**
    * Comiler messages area.
    * @type {HTMLTextAreaElement}
@@ -123,29 +228,110 @@
    */
   let transFragTextArea;
   /**
-   * Mouse move offset of X.
-   * @type {number}
+   * Table to show active variables of shaders.
+   * @type {UniformInspector}
    */
-  let mx = 0.0;
+  let uniformInspector;
   /**
-   * Mouse move offset of Y.
-   * @type {number}
+   * <div> which contains the table of active variables.
+   * @type {HTMLDivElement}
+   */
+  let uniformInspectorDiv;
+  /**
+   * Pointer input of the canvas.
+   * @type {PointerState}
+   */
+  let pointerState;
+  /**
+   * Panel of controls for annotated uniform variables.
+   * @type {UniformPanel}
+   */
+  let uniformPanel;
+  /**
+   * Target language of the current shader.
+   * @type {string}
+   */
+  let currentTarget = 'auto';
+  /**
+   * Source code of the current shader.
+   * @type {string}
    */
-  let my = 0.0;
+  let currentContent = '';
+  /**
+   * File type of the current shader, "glsl" or "wgsl".
+   * @type {string}
+   */
+  let currentFileType = 'glsl';
+  /**
+   * Metadata read from the dropped PNG file.
+   * @type {Object}
+   */
+  let droppedMetadata = null;
   /**
    * Scale of canvas.
    * @type {number}
    */
   let scale = 1.0;
+  /**
+   * JSON string of channel settings which are loaded last.
+   * @type {string}
+   */
+  let loadedChannelsJson = '[]';
+  /**
+   * Video elements bound to texture channels, null for the channels which are not videos.
+   * @type {Array<HTMLVideoElement>}
+   */
+  const videoChannels = [null, null, null, null];
+  /**
+   * Keyboard state of the canvas.
+   * @type {KeyboardState}
+   */
+  let keyboardState;
+  /**
+   * Audio player and analyser, which is created when audio file is specified.
+   * @type {AudioAnalyser}
+   */
+  let audioAnalyser = null;
+  /**
+   * JSON string of audio setting which is loaded last.
+   * @type {string}
+   */
+  let loadedAudioJson = 'null';
+  /**
+   * Keyframes of custom uniform variables.
+   * @type {Timeline}
+   */
+  let timeline;
+  /**
+   * Curve editor of the timeline.
+   * @type {TimelineEditor}
+   */
+  let timelineEditor;
+  /**
+   * JSON string of the timeline file which is loaded last.
+   * @type {string}
+   */
+  let loadedTimelineJson;
+  /**
+   * File name of the timeline, which is placed next to the shader file.
+   * @type {string}
+   */
+  let timelineFileName = 'timeline.json';
+  /**
+   * Player of "Sound" pass, which is created when the pass exists.
+   * @type {SoundShaderPlayer}
+   */
+  let soundShaderPlayer = null;
 
   global.addEventListener('load', () => {
     headerArea = doc.getElementById('header');
     footerArea = doc.getElementById('footer');
     canvas = doc.getElementById('canvas');
-    canvas.addEventListener('mousemove', e => {
-      mx = e.offsetX / (canvas.width * scale);
-      my = (1.0 - e.offsetY / (canvas.height * scale));
-    }, true);
+    keyboardState = new KeyboardState(canvas);
+    pointerState = new PointerState(canvas);
+    uniformPanel = new UniformPanel(doc.getElementById('uniform-panel'));
+    timeline = new Timeline();
+    timelineEditor = new TimelineEditor(doc.getElementById('timeline-editor'), timeline, name => uniformPanel.values[name], saveTimeline);
 
     const scaleSelect = doc.getElementById('scale');
     scale = Number.parseFloat(scaleSelect.value);
@@ -186,6 +372,23 @@
       }
     }, true);
 
+    const fixedTimestepCheckBox = doc.getElementById('fixed-timestep-checkbox');
+    const fixedFps = doc.getElementById('fixed-fps');
+    const updateFixedFrameRate = () => {
+      fixedFps.disabled = !fixedTimestepCheckBox.checked;
+      animator.fixedFrameRate = fixedTimestepCheckBox.checked ? Number.parseFloat(fixedFps.value) : null;
+      syncMedia();
+    };
+    fixedTimestepCheckBox.addEventListener('change', e => {
+      updateFixedFrameRate();
+    }, true);
+    fixedFps.addEventListener('change', e => {
+      if (clampNumberInput(e.target)) {
+        return;
+      }
+      updateFixedFrameRate();
+    }, true);
+
     const frametimeCheckBox = doc.getElementById('frametime-checkbox');
     frametimeCheckBox.addEventListener('change', e => {
       if (e.target.checked) {
@@ -227,6 +430,36 @@
       }, true);
     }
 
+    uniformInspectorDiv = doc.getElementById('uniform-inspector');
+    uniformInspector = new UniformInspector(uniformInspectorDiv);
+    const uniformsRadioButton = doc.getElementById('tab-uniforms');
+    if (uniformsRadioButton !== null) {
+      uniformsRadioButton.addEventListener('change', e => {
+        if (e.target.checked && renderer !== null && renderer.hasBuilt) {
+          uniformInspector.update(renderer.inspect());
+        }
+      }, true);
+    }
+
+    // Audio cannot be played until user interacts with the page.
+    const resumeAudio = () => {
+      if (audioAnalyser !== null) {
+        audioAnalyser.resume();
+        if (!animator.isStopped && animator.rate === 1.0 && !audioAnalyser.isPlaying) {
+          audioAnalyser.play(animator.currentTime * 0.001);
+        }
+      }
+      if (soundShaderPlayer !== null && soundShaderPlayer.isSuspended) {
+        soundShaderPlayer.resume().then(() => {
+          if (!animator.isStopped && animator.rate === 1.0) {
+            soundShaderPlayer.play(animator.currentTime * 0.001);
+          }
+        });
+      }
+    };
+    doc.addEventListener('pointerdown', resumeAudio, true);
+    doc.addEventListener('keydown', resumeAudio, true);
+
     doc.addEventListener('keydown', e => {
       if (e.defaultPrevented) {
         return;
@@ -237,18 +470,28 @@
       let isTogglePlayingPressed = false;
       let isAltEnterPressed = false;
       let isCtrlSPressed = false;
+      let isStepBackwardPressed = false;
+      let isStepForwardPressed = false;
+      // "," and "." are typed into number inputs.
+      const isTextInput = e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement;
       if (typeof e.key !== 'undefined') {
         isTogglePlayingPressed = e.key === ' ' || e.key === 'k';
         isAltEnterPressed = e.key === 'Enter' && e.altKey;
         isCtrlSPressed = e.key === 's' && e.ctrlKey;
+        isStepBackwardPressed = e.key === ',';
+        isStepForwardPressed = e.key === '.';
       } else if (typeof e.keyIdentifier !== 'undefined') {
         isTogglePlayingPressed = e.keyIdentifier === ' ' || e.keyIdentifier === 'k';
         isAltEnterPressed = e.keyIdentifier === 'Enter' && e.altKey;
         isCtrlSPressed = e.keyIdentifier === 's' && e.ctrlKey;
+        isStepBackwardPressed = e.keyIdentifier === ',';
+        isStepForwardPressed = e.keyIdentifier === '.';
       } else if (typeof e.keyCode !== 'undefined') {
         isTogglePlayingPressed = e.keyCode === 0x20 || e.keyCode === 0x4b;
         isAltEnterPressed = e.keyCode === 0x0d && e.altKey;
         isCtrlSPressed = e.keyCode === 0x53 && e.ctrlKey;
+        isStepBackwardPressed = e.keyCode === 0xbc;
+        isStepForwardPressed = e.keyCode === 0xbe;
       }
 
       if (isTogglePlayingPressed) {
@@ -262,6 +505,10 @@
         toggleFullscreen();
       } else if (isCtrlSPressed) {
         downloadCanvas();
+      } else if (isStepBackwardPressed && !isTextInput) {
+        step(-1);
+      } else if (isStepForwardPressed && !isTextInput) {
+        step(1);
       }
 
       if (isAltEnterPressed || isCtrlSPressed) {
@@ -280,6 +527,69 @@
       start();
     }, true);
 
+    doc.getElementById('button-reset').addEventListener('click', e => {
+      reset();
+    }, true);
+
+    doc.getElementById('button-step-backward').addEventListener('click', e => {
+      step(-1);
+    }, true);
+
+    doc.getElementById('button-step-forward').addEventListener('click', e => {
+      step(1);
+    }, true);
+
+    seekBar = doc.getElementById('seek-bar');
+    seekBar.addEventListener('pointerdown', e => {
+      isSeeking = true;
+    }, true);
+    seekBar.addEventListener('pointerup', e => {
+      isSeeking = false;
+    }, true);
+    seekBar.addEventListener('change', e => {
+      isSeeking = false;
+    }, true);
+    seekBar.addEventListener('input', e => {
+      seek(Number.parseFloat(e.target.value));
+    }, true);
+
+    doc.getElementById('playback-rate').addEventListener('change', e => {
+      const target = e.target;
+      if (clampNumberInput(target)) {
+        return;
+      }
+      const rate = Number.parseFloat(target.value);
+      if (Number.isFinite(rate)) {
+        animator.rate = rate;
+        syncMedia();
+      }
+    }, true);
+
+    doc.getElementById('button-loop-start').addEventListener('click', e => {
+      loopStartTime = animator.currentTime;
+      if (loopEndTime !== null && loopEndTime <= loopStartTime) {
+        loopEndTime = null;
+      }
+      updateLoopRange();
+    }, true);
+
+    doc.getElementById('button-loop-end').addEventListener('click', e => {
+      loopEndTime = animator.currentTime;
+      if (loopStartTime === null || loopStartTime >= loopEndTime) {
+        loopStartTime = 0.0;
+      }
+      if (loopEndTime <= loopStartTime) {
+        loopEndTime = null;
+      }
+      updateLoopRange();
+    }, true);
+
+    doc.getElementById('button-loop-clear').addEventListener('click', e => {
+      loopStartTime = null;
+      loopEndTime = null;
+      updateLoopRange();
+    }, true);
+
     doc.getElementById('button-download').addEventListener('click', e => {
       const selectedValue = doc.getElementById('select-download-type').value;
       const baseFileName = getFileName().replace(/.*[\/\\]/, '').replace(/\.[^.]*$/, '');
@@ -287,6 +597,9 @@
         case 'png':
           downloadCanvasAtSpecifiedSize(baseFileName + '.png');
           break;
+        case 'png-tiled':
+          downloadTiledPng(baseFileName + '.png');
+          break;
         case 'png-current':
           downloadCanvas(baseFileName + '.png');
           break;
@@ -314,6 +627,27 @@
         case 'html':
           downloadSingleHtml(baseFileName + '.html');
           break;
+        case 'wav':
+          downloadSound(baseFileName + '.wav');
+          break;
+        case 'exr':
+          downloadFloatImage(baseFileName + '.exr');
+          break;
+        case 'hdr':
+          downloadFloatImage(baseFileName + '.hdr');
+          break;
+        case 'gif':
+          downloadGif(baseFileName + '.gif');
+          break;
+        case 'png-zip':
+          downloadPngSequence(baseFileName + '.zip');
+          break;
+        case 'webm':
+          downloadWebm(baseFileName + '.webm');
+          break;
+        case 'webm-realtime':
+          recordWebm(baseFileName + '.webm');
+          break;
         default:
           throw new Error('Unrecognized download type: ' + selectedValue);
       }
@@ -323,10 +657,54 @@
     imageHeightNumberInput = doc.getElementById('image-height');
     doc.getElementById('select-download-type').addEventListener('change', e => {
       const value = e.target.value;
-      const isDisabled = value !== 'png' && value !== 'jpen' && value !== 'webp';
+      const isOffline = value === 'gif' || value === 'png-zip' || value === 'webm';
+      const isDisabled = value !== 'png' && value !== 'png-tiled' && value !== 'jpeg' && value !== 'webp'
+        && value !== 'exr' && value !== 'hdr' && !isOffline;
       imageWidthNumberInput.disabled = isDisabled;
       imageHeightNumberInput.disabled = isDisabled;
+      // Tiled rendering is not limited by the maximum size of canvas.
+      imageWidthNumberInput.max = value === 'png-tiled' ? 65535 : 7680;
+      imageHeightNumberInput.max = value === 'png-tiled' ? 65535 : 4320;
+      const isVideo = isOffline || value === 'webm-realtime';
+      doc.getElementById('export-start').disabled = !isOffline;
+      doc.getElementById('export-duration').disabled = !isVideo;
+      doc.getElementById('export-fps').disabled = !isVideo;
+      doc.getElementById('export-dither').disabled = value !== 'gif';
+      doc.getElementById('export-supersampling').disabled = value !== 'png-tiled';
+    }, true);
+
+    doc.getElementById('export-progress-stop').addEventListener('click', e => {
+      if (exportTask !== null && exportTask.stop !== null) {
+        exportTask.stop();
+      }
+    }, true);
+    doc.getElementById('export-progress-cancel').addEventListener('click', e => {
+      if (exportTask !== null) {
+        exportTask.isCancelled = true;
+        if (exportTask.stop !== null) {
+          exportTask.stop();
+        }
+      }
+    }, true);
+
+    doc.addEventListener('dragover', e => {
+      if (e.dataTransfer.types.includes('Files')) {
+        e.preventDefault();
+      }
+    }, true);
+    doc.addEventListener('drop', async e => {
+      const file = e.dataTransfer.files[0];
+      if (typeof file === 'undefined') {
+        return;
+      }
+      e.preventDefault();
+      showDroppedMetadata(PngEncoder.readText(new Uint8Array(await file.arrayBuffer())), file.name);
     }, true);
+    doc.getElementById('png-metadata-load').addEventListener('click', e => loadDroppedMetadata());
+    doc.getElementById('png-metadata-restore').addEventListener('click', e => restorePreview());
+    doc.getElementById('png-metadata-close').addEventListener('click', e => {
+      doc.getElementById('png-metadata').style.display = 'none';
+    });
 
     doc.getElementById('enter-fullscreen').addEventListener('click', e => toggleFullscreen());
 
@@ -407,15 +785,86 @@
       console.log('Start animation: Interval: ' + interval + ' msec');
       animator.start(render, interval);
     }
+    syncMedia();
     buttonStop.style.display = '';
     buttonStart.style.display = 'none';
   }
 
+  /**
+   * Reset time and frame count, and rewind audio.
+   */
+  function reset() {
+    animator.reset();
+    syncMedia();
+    render();
+  }
+
+  /**
+   * Seek time of animation.
+   * @param {number} time Time to seek (in seconds).
+   */
+  function seek(time) {
+    animator.currentTime = time * 1000.0;
+    syncMedia();
+    render();
+  }
+
+  /**
+   * Step time of animation by frames.
+   * @param {number} count Number of frames, which is negative to step backward.
+   */
+  function step(count) {
+    animator.step(count);
+    syncMedia();
+    render();
+  }
+
+  /**
+   * Apply loop range set by the user to the animator and show it.
+   * Loop range is enabled only when both of the start and the end are set.
+   */
+  function updateLoopRange() {
+    if (loopStartTime !== null && loopEndTime !== null) {
+      animator.setLoopRange(loopStartTime, loopEndTime);
+    } else {
+      animator.clearLoopRange();
+    }
+    const loopRangeElement = doc.getElementById('loop-range');
+    loopRangeElement.innerText = loopStartTime === null ? ''
+      : (loopStartTime * 0.001).toFixed(3) + ' - ' + (loopEndTime === null ? '' : (loopEndTime * 0.001).toFixed(3));
+  }
+
+  /**
+   * Make audio, "Sound" pass and videos follow the time, the rate and the state of the animator.
+   * Audio is played only at the normal rate, and it is paused at the other rates.
+   */
+  function syncMedia() {
+    const time = animator.currentTime * 0.001;
+    const isPlaying = !animator.isStopped && animator.rate === 1.0;
+    if (audioAnalyser !== null) {
+      if (isPlaying) {
+        audioAnalyser.play(time);
+      } else {
+        audioAnalyser.pause();
+        audioAnalyser.seek(time);
+      }
+    }
+    if (soundShaderPlayer !== null) {
+      if (isPlaying) {
+        soundShaderPlayer.play(time);
+      } else {
+        soundShaderPlayer.pause();
+      }
+    }
+    syncVideoChannels();
+  }
+
   /**
    * Stop animation.
    */
   function stop() {
     animator.stop();
+    syncMedia();
     buttonStop.style.display = 'none';
     buttonStart.style.display = '';
   }
@@ -433,6 +882,7 @@
     compilerMessagesTextArea.style.height = Math.max(0, h - 8) + 'px';
     transVertTextArea.style.height = Math.max(0, h - 8) + 'px';
     transFragTextArea.style.height = Math.max(0, h - 8) + 'px';
+    uniformInspectorDiv.style.height = Math.max(0, h - 8) + 'px';
 
     render();
   }
@@ -445,14 +895,69 @@
       return;
     }
 
-    const time = animator.totalElapsedTime * 0.001;
+    const time = animator.currentTime * 0.001;
     elapsedTimeElement.innerText = time.toFixed(3);
+    if (!animator.isStopped && (time - lastRenderedTime) * animator.rate < 0.0) {
+      // Wrapped by loop range.
+      syncMedia();
+    } else if (!animator.isStopped && animator.rate <= 0.0) {
+      // Videos cannot be played in reverse, so they are seeked every frame.
+      syncVideoChannels();
+    }
+    lastRenderedTime = time;
+    if (!isSeeking) {
+      if (time > Number.parseFloat(seekBar.max)) {
+        seekBar.max = Math.ceil(time * 2.0);
+      }
+      seekBar.value = time;
+    }
 
-    const w = canvas.width;
-    const h = canvas.height;
-
-    renderer.setUniforms(time, mx, my, w, h);
-    renderer.render(w, h);
+    // Uniforms of resolution are that of the whole image while rendering in tiles.
+    const w = renderTile === null ? canvas.width : renderTile.width;
+    const h = renderTile === null ? canvas.height : renderTile.height;
+
+    const mousePos = pointerState.normalizedPosition;
+    // Animated values of the timeline take precedence over the values of the panel.
+    const customValues = Object.assign(uniformPanel.values, timeline.evaluate(time));
+    renderer.setUniforms(time, mousePos[0], mousePos[1], w, h, animator.frameCount, customValues);
+    renderer.setUniform('mouse', getMouseUniformValue(currentTarget));
+    renderer.setUniform('mouseState', pointerState.mouse);
+    renderer.setUniform('mouseButtons', pointerState.buttons);
+    renderer.setUniform('wheel', pointerState.wheel);
+    renderer.setUniform('pointers', pointerState.pointers);
+    renderer.setUniform('pointerCount', pointerState.pointerCount);
+    renderer.setUniform('timeDelta', animator.timeStep * 0.001);
+    renderer.setUniform('frameRate', animator.fixedFrameRate !== null ? animator.fixedFrameRate : animator.smoothedFps);
+    renderer.setUniform('date', getDateUniformValue());
+    renderer.setUniform('sampleRate', 44100);
+    renderer.setUniform('channelTime', videoChannels.map(video => video === null ? time : video.currentTime));
+    videoChannels.forEach((video, i) => {
+      if (video !== null) {
+        renderer.updateChannel(i);
+      }
+    });
+    if (audioAnalyser !== null) {
+      audioAnalyser.update();
+      renderer.setUniform('sound', audioAnalyser.volume);
+      renderer.setAudioData(audioAnalyser.textureData);
+    } else {
+      renderer.setUniform('sound', 0.0);
+    }
+    if (soundShaderPlayer !== null) {
+      soundShaderPlayer.update();
+    }
+    renderer.setUniform('surfaceSize', [w / h, 1.0]);
+    renderer.setUniform('vertexSurfaceSize', [w / h, 1.0]);
+    renderer.setKeyboardData(keyboardState.textureData);
+    renderer.setTileOffset(renderTile === null ? 0.0 : renderTile.x, renderTile === null ? 0.0 : renderTile.y);
+    renderer.render(canvas.width, canvas.height);
+    pointerState.nextFrame();
+    keyboardState.nextFrame();
+    timelineEditor.draw(time);
+
+    if (doc.getElementById('tab-uniforms').checked) {
+      uniformInspector.update(renderer.inspect());
+    }
 
     if (frametimeElement !== null) {
       frametimeElement.innerText = (renderer.frametime / 1000000.0).toFixed(3);
@@ -481,82 +986,385 @@
     }
 
     if (needReload && (typeof getContent === 'function') && (typeof getFileType === 'function')) {
-      const target = typeof getTarget === 'function' ? getTarget() : 'auto';
-      const fsSource = preprocess(getContent(), target);
-      const uniformDict = getUniformDict(target);
-      try {
-        const isFirstBuild = renderer === null;
-        if (renderer === null) {
-          if (getFileType() === 'glsl') {
-            renderer = new GlslQuadRenderer(canvas);
-            renderer.useBackBuffer = true;
-            doc.title = 'GLSL Preview';
-          } else {
-            renderer = await WgslQuadRenderer.create(canvas);
-            doc.title = 'WLSL Preview';
-          }
-          if (!renderer.enableMeasureFrametime()) {
-            frametimeElement.remove();
-            frametimeElement = null;
-            frametimeAreaElement.remove();
-            frametimeAreaElement = null;
-            doc.getElementById('frametime-checkbox').remove();
-            doc.getElementById('frametime-checkbox-label').remove();
-          }
-        }
+      await buildPreview(getContent(), getFileType(), typeof getTarget === 'function' ? getTarget() : 'auto');
+    }
+
+    if (needReload && renderer !== null && currentFileType === 'glsl') {
+      loadChannels();
+    }
+    if (needReload) {
+      loadAudio();
+      loadTimeline();
+    }
 
-        const isStopped = animator.isStopped;
-        animator.stop();
+    if (needReload) {
+      resizeContent();
+    }
 
-        measureTime(
-          () => renderer.build(fsSource, null, uniformDict),
-          elapsed => console.log('Build success: ' + new Date() + ', elapsed: ' + elapsed.toFixed(3) + ' msec'),
-          elapsed => console.error('Build failed: ' + new Date() + ', elapsed: ' + elapsed.toFixed(3) + ' msec'));
+    return 0;
+  }
 
-        if (isFirstBuild || !isStopped) {
-          start();
+  /**
+   * Build the shader and show it, or show compiler messages if failed.
+   * @param {string} content Shader source code.
+   * @param {string} fileType File type, "glsl" or "wgsl".
+   * @param {string} target Target language.
+   */
+  async function buildPreview(content, fileType, target) {
+    const uniformDict = getUniformDict(target);
+    const vsSource = getVertexShaderSource(target);
+    currentTarget = target;
+    currentContent = content;
+    currentFileType = fileType;
+    try {
+      let passes = fileType !== 'glsl' ? null
+        : target === 'glslcanvas' ? GlslCanvas.splitBuffers(content)
+        : splitPasses(content);
+      // "Sound" pass is not rendered into the canvas but played by SoundShaderPlayer.
+      const soundPass = passes === null ? undefined : passes.find(pass => pass.name === 'Sound');
+      if (typeof soundPass !== 'undefined') {
+        passes = passes.filter(pass => pass !== soundPass);
+      }
+      if (passes !== null) {
+        for (const pass of passes) {
+          pass.fsSource = preprocess(pass.fsSource, target);
+        }
+      }
+      const fsSource = passes === null ? preprocess(content, target) : null;
+      const isFirstBuild = renderer === null;
+      if (renderer === null) {
+        if (fileType === 'glsl') {
+          renderer = new GlslQuadRenderer(canvas);
+          renderer.useBackBuffer = true;
+          doc.title = 'GLSL Preview';
         } else {
-          render();
+          renderer = await WgslQuadRenderer.create(canvas);
+          doc.title = 'WLSL Preview';
         }
+        if (!renderer.enableMeasureFrametime()) {
+          frametimeElement.remove();
+          frametimeElement = null;
+          frametimeAreaElement.remove();
+          frametimeAreaElement = null;
+          doc.getElementById('frametime-checkbox').remove();
+          doc.getElementById('frametime-checkbox-label').remove();
+        }
+      }
 
-        canvas.style.display = '';
-        compilerMessagesTextArea.value = '';
-        compilerMessagesTextArea.style.display = 'none';
-        if (doc.getElementById('tab-trans-vert').checked) {
-          transVertTextArea.value = renderer.translatedVertexShaderSource;
-        } else {
-          transVertTextArea.value = '';
+      if (fileType === 'glsl') {
+        renderer.mrtCount = target.startsWith('twigl-') ? Twigl.getOutputCount(target.slice('twigl-'.length)) : 1;
+      }
+
+      const isStopped = animator.isStopped;
+      animator.stop();
+
+      await measureTime(
+        () => passes === null ? renderer.build(fsSource, vsSource, uniformDict) : renderer.buildMultipass(passes, vsSource, uniformDict),
+        elapsed => console.log('Build success: ' + new Date() + ', elapsed: ' + elapsed.toFixed(3) + ' msec'),
+        elapsed => console.error('Build failed: ' + new Date() + ', elapsed: ' + elapsed.toFixed(3) + ' msec'));
+
+      if (typeof soundPass !== 'undefined') {
+        if (soundShaderPlayer === null) {
+          soundShaderPlayer = new SoundShaderPlayer(GlslQuadRenderer);
         }
-        if (doc.getElementById('tab-trans-frag').checked) {
-          transFragTextArea.value = renderer.translatedFragmentShaderSource;
-        } else {
-          transFragTextArea.value = '';
+        try {
+          soundShaderPlayer.build(soundPass.fsSource);
+        } catch (e) {
+          e.message = 'Sound:\n' + e.message;
+          throw e;
         }
-      } catch (e) {
-        console.error(e);
-        canvas.style.display = 'none';
-        compilerMessagesTextArea.value = e.message;
-        compilerMessagesTextArea.style.display = '';
+      } else if (soundShaderPlayer !== null) {
+        soundShaderPlayer.clear();
+      }
+
+      uniformPanel.update(content, fileType === 'wgsl' ? renderer.customUniforms : []);
+      timelineEditor.setCandidates(Object.keys(uniformPanel.values));
+
+      if (isFirstBuild || !isStopped) {
+        start();
+      } else {
+        render();
+      }
+
+      // Warnings of WGSL are shown over the canvas.
+      const warnings = fileType === 'wgsl' ? renderer.compilationMessages : '';
+      canvas.style.display = '';
+      compilerMessagesTextArea.value = warnings;
+      compilerMessagesTextArea.style.display = warnings === '' ? 'none' : '';
+      compilerMessagesTextArea.classList.toggle('compiler-warnings', warnings !== '');
+      if (doc.getElementById('tab-trans-vert').checked) {
+        transVertTextArea.value = renderer.translatedVertexShaderSource;
+      } else {
         transVertTextArea.value = '';
+      }
+      if (doc.getElementById('tab-trans-frag').checked) {
+        transFragTextArea.value = renderer.translatedFragmentShaderSource;
+      } else {
         transFragTextArea.value = '';
       }
+    } catch (e) {
+      console.error(e);
+      canvas.style.display = 'none';
+      compilerMessagesTextArea.value = e.message;
+      compilerMessagesTextArea.style.display = '';
+      compilerMessagesTextArea.classList.remove('compiler-warnings');
+      transVertTextArea.value = '';
+      transFragTextArea.value = '';
+      uniformInspector.clear();
     }
-
-    if (needReload) {
-      resizeContent();
-    }
-
-    return 0;
   }
 
   /**
-   * Preprocess fragment shader source by target.
-   * @param {string} fsSource Fragment shader source.
-   * @param {string} target Target language.
-   * @return Preprocessed fragment shader source.
+   * Load images of texture channels and bind them to the renderer if channel settings are changed.
    */
-  function preprocess(fsSource, target) {
-    switch (target) {
+  function loadChannels() {
+    // getChannels() is defined in content.js generated by autoload/previmglsl.vim.
+    const channels = typeof getChannels === 'function' ? getChannels() : [];
+    const channelsJson = JSON.stringify(channels);
+    if (channelsJson === loadedChannelsJson) {
+      return;
+    }
+    loadedChannelsJson = channelsJson;
+
+    for (let i = 0; i < 4; i++) {
+      if (videoChannels[i] !== null) {
+        videoChannels[i].pause();
+        videoChannels[i].removeAttribute('src');
+        videoChannels[i].load();
+        videoChannels[i] = null;
+      }
+      const channel = channels.find(channel => channel.index === i);
+      if (typeof channel === 'undefined') {
+        renderer.setChannel(i, null);
+        continue;
+      }
+      if (/\.(?:webm|mp4|m4v|ogv|mov)(?:\?|$)/i.test(channel.path)) {
+        loadVideoChannel(i, channel, channelsJson);
+        continue;
+      }
+      const image = new Image();
+      image.addEventListener('load', () => {
+        if (loadedChannelsJson !== channelsJson) {
+          return;
+        }
+        try {
+          renderer.setChannel(i, image, channel);
+        } catch (e) {
+          // Chrome rejects images of file:// URL unless --allow-file-access-from-files is specified.
+          console.error('Failed to bind channel ' + i + ': ' + channel.path, e);
+          return;
+        }
+        if (animator.isStopped) {
+          render();
+        }
+      });
+      image.addEventListener('error', () => console.error('Failed to load channel ' + i + ': ' + channel.path));
+      image.src = channel.path;
+    }
+  }
+
+  /**
+   * Load a video file and bind it to a texture channel.
+   * @param {number} index Channel index.
+   * @param {Object} channel Channel setting.
+   * @param {string} channelsJson JSON string of the channel settings which the channel belongs to.
+   */
+  function loadVideoChannel(index, channel, channelsJson) {
+    const video = doc.createElement('video');
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.addEventListener('loadeddata', () => {
+      if (videoChannels[index] !== video) {
+        return;
+      }
+      try {
+        renderer.setChannel(index, video, channel);
+      } catch (e) {
+        console.error('Failed to bind channel ' + index + ': ' + channel.path, e);
+        return;
+      }
+      syncVideoChannels();
+      if (animator.isStopped) {
+        render();
+      }
+    }, {once: true});
+    video.addEventListener('seeked', () => {
+      // Show the frame at the new position while the animation is stopped.
+      if (videoChannels[index] === video && animator.isStopped) {
+        render();
+      }
+    });
+    video.addEventListener('error', () => console.error('Failed to load channel ' + index + ': ' + channel.path));
+    videoChannels[index] = video;
+    video.src = channel.path;
+  }
+
+  /**
+   * Make videos of texture channels follow the time and the state of the animator.
+   */
+  function syncVideoChannels() {
+    const time = animator.currentTime * 0.001;
+    for (const video of videoChannels) {
+      if (video === null || video.readyState < HTMLMediaElement.HAVE_METADATA) {
+        continue;
+      }
+      const duration = video.duration;
+      const videoTime = Number.isFinite(duration) && duration > 0 ? time % duration : time;
+      // Avoid seeking for small drift, which causes stutter.
+      if (Math.abs(video.currentTime - videoTime) > 0.1) {
+        video.currentTime = videoTime;
+      }
+      if (animator.isStopped || animator.rate <= 0.0) {
+        video.pause();
+      } else {
+        video.playbackRate = animator.rate;
+        video.play().catch(e => console.warn('Failed to play video: ' + e.message));
+      }
+    }
+  }
+
+  /**
+   * Load audio file if audio setting is changed.
+   */
+  function loadAudio() {
+    // getAudio() is defined in content.js generated by autoload/previmglsl.vim.
+    const audio = typeof getAudio === 'function' ? getAudio() : null;
+    const audioJson = JSON.stringify(audio);
+    if (audioJson === loadedAudioJson) {
+      return;
+    }
+    loadedAudioJson = audioJson;
+
+    if (audio === null) {
+      if (audioAnalyser !== null) {
+        audioAnalyser.unload();
+      }
+      return;
+    }
+
+    if (audioAnalyser === null) {
+      audioAnalyser = new AudioAnalyser();
+    }
+    audioAnalyser.load(audio.path).then(() => {
+      if (loadedAudioJson === audioJson && !animator.isStopped && animator.rate === 1.0) {
+        audioAnalyser.play(animator.currentTime * 0.001);
+      }
+    }).catch(e => console.error(e));
+  }
+
+  /**
+   * Load timeline file if it is changed.
+   * The timeline being edited is kept unless the file is changed.
+   */
+  function loadTimeline() {
+    // getTimeline() is defined in content.js generated by autoload/previmglsl.vim.
+    const timelineFile = typeof getTimeline === 'function' ? getTimeline() : null;
+    if (timelineFile === null) {
+      return;
+    }
+    timelineFileName = timelineFile.fileName;
+    const timelineJson = JSON.stringify(timelineFile.data);
+    if (timelineJson === loadedTimelineJson) {
+      return;
+    }
+    loadedTimelineJson = timelineJson;
+
+    try {
+      if (timelineFile.data === null) {
+        timeline.clear();
+      } else {
+        timeline.load(timelineFile.data);
+      }
+    } catch (e) {
+      console.error(timelineFileName + ': ' + e.message);
+    }
+    timelineEditor.refresh();
+  }
+
+  /**
+   * Save the timeline as JSON file.
+   * The file is written with File System Access API if available, otherwise downloaded.
+   * Place it next to the shader file to load it with the shader.
+   */
+  async function saveTimeline() {
+    const text = JSON.stringify(timeline, null, 2) + '\n';
+    if (typeof global.showSaveFilePicker === 'function') {
+      try {
+        const handle = await global.showSaveFilePicker({
+          suggestedName: timelineFileName,
+          types: [{description: 'Timeline', accept: {'application/json': ['.json']}}]
+        });
+        const writable = await handle.createWritable();
+        await writable.write(text);
+        await writable.close();
+      } catch (e) {
+        if (e.name !== 'AbortError') {
+          console.error(e);
+        }
+      }
+      return;
+    }
+    downloadBlob(new Blob([text], {type: 'application/json'}), timelineFileName);
+  }
+
+  /**
+   * Split fragment shader source into passes by "// @pass" directives.
+   *
+   * A directive line is "// @pass NAME [UNIFORM=PASS ...]".
+   * Lines before the first directive are shared by all passes.
+   * Lines of the other passes are replaced with empty lines,
+   * so that line numbers in compiler messages are the same as the original source.
+   *
+   * @param {string} fsSource Fragment shader source.
+   * @return {Array<Object>} Array of pass definitions, or null if there are no directives.
+   */
+  function splitPasses(fsSource) {
+    const lines = fsSource.split('\n');
+    const sectionIndices = new Array(lines.length);
+    const passes = [];
+
+    let sectionIndex = -1;
+    lines.forEach((line, i) => {
+      const match = line.match(/^\s*\/\/\s*@pass\s+(\w+)((?:\s+\w+\s*=\s*\w+)*)\s*$/);
+      if (match !== null) {
+        const bindings = {};
+        for (const binding of match[2].matchAll(/(\w+)\s*=\s*(\w+)/g)) {
+          bindings[binding[1]] = binding[2];
+        }
+        passes.push({
+          name: match[1],
+          bindings: bindings
+        });
+        sectionIndex = passes.length - 1;
+      }
+      sectionIndices[i] = sectionIndex;
+    });
+
+    if (passes.length === 0) {
+      return null;
+    }
+
+    passes.forEach((pass, passIndex) => {
+      // Shared lines such as "#version" and outputs are not for "Sound" pass.
+      const isShared = pass.name !== 'Sound';
+      pass.fsSource = lines
+        .map((line, i) => (isShared && sectionIndices[i] === -1) || sectionIndices[i] === passIndex ? line : '')
+        .join('\n');
+    });
+
+    return passes;
+  }
+
+  /**
+   * Preprocess fragment shader source by target.
+   * @param {string} fsSource Fragment shader source.
+   * @param {string} target Target language.
+   * @return Preprocessed fragment shader source.
+   */
+  function preprocess(fsSource, target) {
+    switch (target) {
       case 'twigl-geeker':
         return Twigl.convertGeekerFs(fsSource);
       case 'twigl-geekest':
@@ -565,6 +1373,14 @@
         return Twigl.convertGeekerFs300es(fsSource);
       case 'twigl-geekest-300es':
         return Twigl.convertGeekestFs300es(fsSource);
+      case 'twigl-geeker-mrt':
+        return Twigl.convertGeekerFsMrt(fsSource);
+      case 'twigl-geekest-mrt':
+        return Twigl.convertGeekestFsMrt(fsSource);
+      case 'shadertoy':
+        return Shadertoy.convertFs(fsSource);
+      case 'shadertoy-300es':
+        return Shadertoy.convertFs300es(fsSource);
       default:
         return fsSource;
     }
@@ -577,18 +1393,84 @@
    */
   function getUniformDict(target) {
     switch (target) {
+      case 'twigl-classic':
+      case 'twigl-classic-300es':
+      case 'twigl-classic-mrt':
+        return {
+          'time': 'time',
+          'mouse': 'mouse',
+          'resolution': 'resolution',
+          'frameCount': 'frame',
+          'sound': 'sound',
+          'backBuffer': 'backbuffer',
+          'backBuffer0': 'backbuffer0',
+          'backBuffer1': 'backbuffer1',
+          'backBuffer2': 'backbuffer2',
+          'backBuffer3': 'backbuffer3'
+        };
       case 'twigl-geek':
       case 'twigl-geeker':
       case 'twigl-geekest':
       case 'twigl-geek-300es':
       case 'twigl-geeker-300es':
       case 'twigl-geekest-300es':
+      case 'twigl-geek-mrt':
+      case 'twigl-geeker-mrt':
+      case 'twigl-geekest-mrt':
         return {
           'time': 't',
           'mouse': 'm',
           'resolution': 'r',
           'frameCount': 'f',
-          'backBuffer': 'b'
+          'sound': 's',
+          'backBuffer': 'b',
+          'backBuffer0': 'b0',
+          'backBuffer1': 'b1',
+          'backBuffer2': 'b2',
+          'backBuffer3': 'b3'
+        };
+      case 'shadertoy':
+      case 'shadertoy-300es':
+        return {
+          'time': 'iTime',
+          'mouse': 'iMouse',
+          'resolution': 'iResolution',
+          'frameCount': 'iFrame',
+          'timeDelta': 'iTimeDelta',
+          'frameRate': 'iFrameRate',
+          'date': 'iDate',
+          'sampleRate': 'iSampleRate',
+          'channel0': 'iChannel0',
+          'channel1': 'iChannel1',
+          'channel2': 'iChannel2',
+          'channel3': 'iChannel3',
+          'channelResolution': 'iChannelResolution',
+          'channelTime': 'iChannelTime'
+        };
+      case 'glslsandbox':
+        return {
+          'time': 'time',
+          'mouse': 'mouse',
+          'resolution': 'resolution',
+          'backBuffer': 'backbuffer',
+          'surfaceSize': 'surfaceSize',
+          'vertexSurfaceSize': 'glslsandbox_surfaceSize'
+        };
+      case 'glslcanvas':
+        return {
+          'time': 'u_time',
+          'mouse': 'u_mouse',
+          'resolution': 'u_resolution',
+          'timeDelta': 'u_delta',
+          'date': 'u_date',
+          'channel0': 'u_tex0',
+          'channel1': 'u_tex1',
+          'channel2': 'u_tex2',
+          'channel3': 'u_tex3',
+          'channel0Resolution': 'u_tex0Resolution',
+          'channel1Resolution': 'u_tex1Resolution',
+          'channel2Resolution': 'u_tex2Resolution',
+          'channel3Resolution': 'u_tex3Resolution'
         };
       default:
         return {
@@ -601,16 +1483,64 @@
     }
   }
 
+  /**
+   * Get vertex shader source which provides varyings of the target.
+   * @param {string} target Target language.
+   * @return {string} Vertex shader source, or null to use the default one.
+   */
+  function getVertexShaderSource(target) {
+    switch (target) {
+      case 'glslsandbox':
+        return GlslSandbox.vsSource;
+      case 'glslcanvas':
+        return GlslCanvas.vsSource;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get value of the mouse uniform variable in the units of the target.
+   * @param {string} target Target language.
+   * @return {Array<number>} Value of the mouse uniform variable.
+   */
+  function getMouseUniformValue(target) {
+    switch (target) {
+      case 'shadertoy':
+      case 'shadertoy-300es':
+        return pointerState.mouse;
+      case 'glslcanvas':
+        // Position in pixels, which is updated without pressing the button.
+        return pointerState.position;
+      default:
+        return pointerState.normalizedPosition;
+    }
+  }
+
+  /**
+   * Get value of the date uniform variable.
+   * @return {Array<number>} Year, month (0 to 11), day of month and seconds since midnight.
+   */
+  function getDateUniformValue() {
+    const now = new Date();
+    return [
+      now.getFullYear(),
+      now.getMonth(),
+      now.getDate(),
+      now.getHours() * 3600.0 + now.getMinutes() * 60.0 + now.getSeconds() + now.getMilliseconds() * 0.001
+    ];
+  }
+
   /**
    * Measure time.
-   * @param {function} f Measure target action.
+   * @param {function} f Measure target action, which may be async.
    * @param {function(number)} onSuccess Callback function on success.
    * @param {function(number)} onFailure Callback function on failure.
    */
-  function measureTime(f, onSuccess, onFailure) {
+  async function measureTime(f, onSuccess, onFailure) {
     const startTime = performance.now();
     try {
-      f();
+      await f();
       const t1 = performance.now();
       onSuccess(performance.now() - startTime);
     } catch (e) {
@@ -634,41 +1564,619 @@
         fileName = 'canvas.png';
       }
     }
-    const oldWidth = canvas.width;
-    const oldHeight = canvas.height;
-    if (typeof width === 'undefined') {
-      width = oldWidth;
+    const state = beginCapture(width, height);
+
+    render();
+
+    const mimeType = identifyMimeTypeByFileName(fileName);
+    const dataUrl = canvas.toDataURL(mimeType);
+    if (mimeType === 'image/png') {
+      const png = Uint8Array.from(atob(dataUrl.slice(dataUrl.indexOf(',') + 1)), c => c.charCodeAt(0));
+      downloadBlob(PngEncoder.insertText(png, getPngMetadata(canvas.width, canvas.height)), fileName);
+    } else {
+      const link = doc.createElement('a');
+      link.download = fileName;
+      link.href = dataUrl;
+      link.click();
+    }
+
+    endCapture(state);
+  }
+
+  /**
+   * Get metadata of the current shader and state to embed into PNG text chunks.
+   * @param {number} width Width of the image.
+   * @param {number} height Height of the image.
+   * @return {Object} Dictionary from keyword to text.
+   */
+  function getPngMetadata(width, height) {
+    const time = animator.currentTime * 0.001;
+    return {
+      'Software': 'previmglsl',
+      'previmglsl:fileType': currentFileType,
+      'previmglsl:target': currentTarget,
+      'previmglsl:time': String(time),
+      'previmglsl:resolution': width + 'x' + height,
+      'previmglsl:uniforms': JSON.stringify(Object.assign(uniformPanel.values, timeline.evaluate(time))),
+      'previmglsl:source': currentContent
+    };
+  }
+
+  /**
+   * Show metadata read from the dropped PNG file.
+   * @param {Object} texts Texts of the PNG file, or null if it is not a PNG file.
+   * @param {string} fileName Name of the dropped file.
+   */
+  function showDroppedMetadata(texts, fileName) {
+    const hasMetadata = texts !== null && typeof texts['previmglsl:source'] === 'string';
+    droppedMetadata = hasMetadata ? texts : null;
+    doc.getElementById('png-metadata').style.display = '';
+    doc.getElementById('png-metadata-load').disabled = !hasMetadata;
+    doc.getElementById('png-metadata-source').value = hasMetadata ? texts['previmglsl:source'] : '';
+    doc.getElementById('png-metadata-source').style.display = hasMetadata ? '' : 'none';
+    doc.getElementById('png-metadata-info').innerText = fileName + '\n' + (!hasMetadata ? 'No metadata of previmglsl'
+      : ['fileType', 'target', 'time', 'resolution', 'uniforms']
+        .map(key => key + ': ' + (texts['previmglsl:' + key] || '')).join('\n'));
+  }
+
+  /**
+   * Build the shader of the dropped PNG file and set its time, resolution and custom uniform values.
+   */
+  async function loadDroppedMetadata() {
+    const texts = droppedMetadata;
+    if (texts === null) {
+      return;
+    }
+    const fileType = texts['previmglsl:fileType'] === 'wgsl' ? 'wgsl' : 'glsl';
+    // The renderer cannot be switched between WebGL and WebGPU.
+    if (renderer !== null && (renderer instanceof GlslQuadRenderer) !== (fileType === 'glsl')) {
+      doc.getElementById('png-metadata-info').innerText += '\nCannot load ' + fileType.toUpperCase() + ' shader into this preview';
+      return;
+    }
+    await buildPreview(texts['previmglsl:source'], fileType, texts['previmglsl:target'] || 'auto');
+    if (renderer === null || !renderer.hasBuilt) {
+      return;
+    }
+    stop();
+    try {
+      uniformPanel.values = JSON.parse(texts['previmglsl:uniforms'] || '{}');
+    } catch (e) {
+      console.error(e);
+    }
+    const resolution = /^(\d+)x(\d+)$/.exec(texts['previmglsl:resolution'] || '');
+    if (resolution !== null) {
+      canvas.width = Number.parseInt(resolution[1]);
+      canvas.height = Number.parseInt(resolution[2]);
     }
-    if (typeof height === 'undefined') {
-      height = oldHeight;
+    seek(Number.parseFloat(texts['previmglsl:time']) || 0.0);
+  }
+
+  /**
+   * Rebuild the shader of the current buffer after loading the dropped one.
+   */
+  async function restorePreview() {
+    if ((typeof getContent !== 'function') || (typeof getFileType !== 'function')) {
+      return;
     }
+    await buildPreview(getContent(), getFileType(), typeof getTarget === 'function' ? getTarget() : 'auto');
+    resizeContent();
+  }
 
-    const isStopped = animator.isStopped;
+  /**
+   * Stop animation and resize canvas to capture frames.
+   * @param {number} width Width of frames, or undefined to keep the current width.
+   * @param {number} height Height of frames, or undefined to keep the current height.
+   * @return {Object} Playback state and canvas size to restore with endCapture().
+   */
+  function beginCapture(width, height) {
+    const state = {
+      width: canvas.width,
+      height: canvas.height,
+      isStopped: animator.isStopped,
+      currentTime: animator.currentTime,
+      frameCount: animator.frameCount,
+      rate: animator.rate,
+      fixedFrameRate: animator.fixedFrameRate
+    };
     stop();
 
-    if (width !== oldWidth || height !== oldHeight) {
+    if (typeof width !== 'undefined' && typeof height !== 'undefined' && (width !== state.width || height !== state.height)) {
       canvas.width = width;
       canvas.height = height;
     }
+    return state;
+  }
+
+  /**
+   * Restore playback state and canvas size saved by beginCapture().
+   * @param {Object} state Saved state.
+   */
+  function endCapture(state) {
+    const isTimeChanged = animator.currentTime !== state.currentTime || animator.frameCount !== state.frameCount;
+    animator.rate = state.rate;
+    animator.fixedFrameRate = state.fixedFrameRate;
+    animator.currentTime = state.currentTime;
+    animator.frameCount = state.frameCount;
+
+    if (canvas.width !== state.width || canvas.height !== state.height) {
+      canvas.width = state.width;
+      canvas.height = state.height;
+      render();
+    } else if (isTimeChanged) {
+      render();
+    }
+
+    if (!state.isStopped) {
+      start();
+    } else {
+      syncMedia();
+    }
+  }
 
+  /**
+   * Render a frame to capture at the specified time in fixed timestep mode.
+   * @param {number} time Time of the frame (in seconds).
+   * @param {number} fps Frame rate of capturing.
+   */
+  function renderFrameAt(time, fps) {
+    animator.rate = 1.0;
+    animator.fixedFrameRate = fps;
+    animator.currentTime = time * 1000.0;
     render();
+  }
+
+  /**
+   * Get start time, duration and frame rate of animation to export from the footer inputs.
+   * @return {Object} Start time and duration in seconds, and frame rate.
+   */
+  function getExportTimeRange() {
+    return {
+      start: Math.max(Number.parseFloat(doc.getElementById('export-start').value) || 0.0, 0.0),
+      duration: Math.max(Number.parseFloat(doc.getElementById('export-duration').value) || 0.0, 0.0),
+      fps: Math.max(Number.parseFloat(doc.getElementById('export-fps').value) || 30.0, 1.0)
+    };
+  }
 
+  /**
+   * Show progress of export.
+   * @param {string} label Label of the progress.
+   * @param {number} ratio Ratio of progress in [0, 1].
+   */
+  function showExportProgress(label, ratio) {
+    doc.getElementById('export-progress').style.display = '';
+    doc.getElementById('export-progress-label').innerText = label;
+    doc.getElementById('export-progress-bar').value = ratio;
+    doc.getElementById('export-progress-stop').style.display = exportTask !== null && exportTask.stop !== null ? '' : 'none';
+  }
+
+  /**
+   * Hide progress of export.
+   */
+  function hideExportProgress() {
+    doc.getElementById('export-progress').style.display = 'none';
+  }
+
+  /**
+   * Download data as a file.
+   * @param {Blob} blob Data to download.
+   * @param {string} fileName File name to download.
+   */
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
     const link = doc.createElement('a');
     link.download = fileName;
-    link.href = canvas.toDataURL(identifyMimeTypeByFileName(fileName));
+    link.href = url;
     link.click();
+    // Release the blob, which may be hundreds of megabytes, after the download has started.
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  /**
+   * Download the sound of "Sound" pass as WAV file.
+   * @param {string} fileName File name to donwload.
+   */
+  function downloadSound(fileName) {
+    if (soundShaderPlayer === null || !soundShaderPlayer.hasBuilt) {
+      console.error('No "Sound" pass to download.');
+      return;
+    }
+    downloadBlob(soundShaderPlayer.renderWav(), fileName);
+  }
+
+  /**
+   * Render animation frame by frame at fixed timestep in the time range of the export inputs.
+   * Progress is shown while capturing, and the playback state and the canvas size are restored afterwards.
+   * @param {string} label Label of the progress.
+   * @param {number} width Width of frames.
+   * @param {number} height Height of frames.
+   * @param {Function} callback Function called with the index, the time (in seconds) and the frame rate after rendering each frame, which may be async.
+   * @return {Promise<boolean>} Whether all frames are captured, which is false if cancelled.
+   */
+  async function captureFrames(label, width, height, callback) {
+    const {start, duration, fps} = getExportTimeRange();
+    const task = {isCancelled: false, stop: null};
+    exportTask = task;
+    const state = beginCapture(width, height);
+    try {
+      const frameCount = Math.max(Math.round(duration * fps), 1);
+      for (let i = 0; i < frameCount && !task.isCancelled; i++) {
+        const time = start + i / fps;
+        renderFrameAt(time, fps);
+        await callback(i, time, fps);
+        showExportProgress(label + ': ' + (i + 1) + ' / ' + frameCount, (i + 1) / frameCount);
+        // Yield to show the progress and to accept cancel.
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      return !task.isCancelled;
+    } finally {
+      exportTask = null;
+      hideExportProgress();
+      endCapture(state);
+    }
+  }
+
+  /**
+   * Get the size of frames to export from the image size inputs.
+   * @return {Array<number>} Width and height.
+   */
+  function getExportSize() {
+    return [
+      Math.max(Number.parseInt(imageWidthNumberInput.value) || canvas.width, 1),
+      Math.max(Number.parseInt(imageHeightNumberInput.value) || canvas.height, 1)
+    ];
+  }
 
-    if (width !== oldWidth || height !== oldHeight) {
-      canvas.width = oldWidth;
-      canvas.height = oldHeight;
+  /**
+   * Create a 2D canvas to read pixels of captured frames.
+   * @param {number} width Width of frames.
+   * @param {number} height Height of frames.
+   * @return {CanvasRenderingContext2D} Context of the canvas.
+   */
+  function createReadbackContext(width, height) {
+    const readbackCanvas = doc.createElement('canvas');
+    readbackCanvas.width = width;
+    readbackCanvas.height = height;
+    return readbackCanvas.getContext('2d', {willReadFrequently: true});
+  }
+
+  /**
+   * Render a still image at the current time into a floating point texture
+   * and download its linear values without clamping as an OpenEXR or a Radiance HDR file.
+   * The size is that of the image size inputs.
+   * @param {string} fileName File name to download, whose extension is ".exr" or ".hdr".
+   */
+  async function downloadFloatImage(fileName) {
+    if (exportTask !== null) {
+      return;
+    }
+    if (!renderer.isFloatOutputSupported) {
+      console.error('HDR export requires WebGL 2.0 and EXT_color_buffer_float, which are not supported by this browser.');
+      return;
+    }
+    const [width, height] = getExportSize();
+    exportTask = {isCancelled: false, stop: null};
+    const state = beginCapture(width, height);
+    try {
+      renderer.floatOutput = true;
       render();
+      const pixels = await renderer.readFloatPixels(width, height);
+      downloadBlob(fileName.endsWith('.exr')
+        ? HdrImageEncoder.encodeExr(pixels, width, height)
+        : HdrImageEncoder.encodeRgbe(pixels, width, height), fileName);
+    } catch (e) {
+      console.error(e);
+    } finally {
+      renderer.floatOutput = false;
+      endCapture(state);
+      exportTask = null;
     }
+  }
 
-    if (!isStopped) {
-      start();
+  /**
+   * Render a still image at the current time in tiles and assemble them into a PNG file,
+   * which can be larger than the maximum size of canvas.
+   * The size is that of the image size inputs, and each pixel is averaged over NxN samples of the supersampling select.
+   * @param {string} fileName File name to download.
+   */
+  async function downloadTiledPng(fileName) {
+    if (exportTask !== null) {
+      return;
+    }
+    if (!renderer.isTileable) {
+      console.error('PNG (Tiled) does not support shaders with buffer passes, back buffers or compute passes,'
+        + ' which read pixels of other tiles, nor WGSL shaders reading @builtin(position). Download "PNG" instead.');
+      return;
+    }
+    const [width, height] = getExportSize();
+    const factor = Number.parseInt(doc.getElementById('export-supersampling').value) || 1;
+    // Size of tiles in pixels of the output image.
+    const tileSize = Math.max(Math.floor(maxTileSize / factor), 1);
+    const columnCount = Math.ceil(width / tileSize);
+    const rowCount = Math.ceil(height / tileSize);
+    const encoder = new PngEncoder(width, height);
+    const context = createReadbackContext(Math.min(tileSize, width) * factor, Math.min(tileSize, height) * factor);
+
+    const task = {isCancelled: false, stop: null};
+    exportTask = task;
+    const state = beginCapture();
+    try {
+      for (let row = 0; row < rowCount && !task.isCancelled; row++) {
+        const top = row * tileSize;
+        const bandHeight = Math.min(tileSize, height - top);
+        const band = new Uint8ClampedArray(width * bandHeight * 4);
+        for (let column = 0; column < columnCount && !task.isCancelled; column++) {
+          const left = column * tileSize;
+          const tileWidth = Math.min(tileSize, width - left);
+          if (canvas.width !== tileWidth * factor || canvas.height !== bandHeight * factor) {
+            canvas.width = tileWidth * factor;
+            canvas.height = bandHeight * factor;
+          }
+          // Offset is from the bottom-left corner like gl_FragCoord.
+          renderTile = {
+            width: width * factor,
+            height: height * factor,
+            x: left * factor,
+            y: (height - top - bandHeight) * factor
+          };
+          render();
+          context.drawImage(canvas, 0, 0);
+          const pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+          downsample(pixels, canvas.width, factor, band, width, left, tileWidth, bandHeight);
+
+          const index = row * columnCount + column;
+          showExportProgress('PNG: ' + (index + 1) + ' / ' + (rowCount * columnCount), (index + 1) / (rowCount * columnCount));
+          // Yield to show the progress and to accept cancel.
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        if (!task.isCancelled) {
+          await encoder.addRows(band);
+        }
+      }
+      if (!task.isCancelled) {
+        for (const [keyword, text] of Object.entries(getPngMetadata(width, height))) {
+          encoder.addText(keyword, text);
+        }
+        downloadBlob(await encoder.finalize(), fileName);
+      }
+    } catch (e) {
+      console.error(e);
+    } finally {
+      renderTile = null;
+      exportTask = null;
+      hideExportProgress();
+      endCapture(state);
     }
   }
 
+  /**
+   * Average each NxN block of pixels of a rendered tile into a pixel of a band of the output image.
+   * @param {Uint8ClampedArray} pixels RGBA pixels of the tile from top to bottom.
+   * @param {number} pixelsWidth Width of the tile.
+   * @param {number} factor N of NxN supersampling.
+   * @param {Uint8ClampedArray} band RGBA pixels of the band of the output image.
+   * @param {number} bandWidth Width of the band.
+   * @param {number} left X of the tile in the band (in pixels of the output image).
+   * @param {number} width Width of the tile (in pixels of the output image).
+   * @param {number} height Height of the tile (in pixels of the output image).
+   */
+  function downsample(pixels, pixelsWidth, factor, band, bandWidth, left, width, height) {
+    const sum = [0, 0, 0, 0];
+    const sampleCount = factor * factor;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        sum.fill(0);
+        for (let sy = 0; sy < factor; sy++) {
+          for (let sx = 0; sx < factor; sx++) {
+            const i = ((y * factor + sy) * pixelsWidth + x * factor + sx) * 4;
+            sum[0] += pixels[i];
+            sum[1] += pixels[i + 1];
+            sum[2] += pixels[i + 2];
+            sum[3] += pixels[i + 3];
+          }
+        }
+        const o = (y * bandWidth + left + x) * 4;
+        band[o] = sum[0] / sampleCount;
+        band[o + 1] = sum[1] / sampleCount;
+        band[o + 2] = sum[2] / sampleCount;
+        band[o + 3] = sum[3] / sampleCount;
+      }
+    }
+  }
+
+  /**
+   * Render animation frame by frame and encode it into an animated GIF.
+   * The size is that of the image size inputs, and the time range is that of the export inputs.
+   * @param {string} fileName File name to download.
+   */
+  async function downloadGif(fileName) {
+    if (exportTask !== null) {
+      return;
+    }
+    const [width, height] = getExportSize();
+    const isDithered = doc.getElementById('export-dither').checked;
+    const encoder = new GifEncoder(width, height);
+    const context = createReadbackContext(width, height);
+    try {
+      const isCompleted = await captureFrames('GIF', width, height, (index, time, fps) => {
+        context.drawImage(canvas, 0, 0);
+        encoder.addFrame(context.getImageData(0, 0, width, height).data, 1000.0 / fps, isDithered);
+      });
+      if (isCompleted) {
+        downloadBlob(encoder.finalize(), fileName);
+      }
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  /**
+   * Render animation frame by frame and archive the frames as numbered PNG files into a ZIP file.
+   * The size is that of the image size inputs, and the time range is that of the export inputs.
+   * @param {string} fileName File name to download.
+   */
+  async function downloadPngSequence(fileName) {
+    if (exportTask !== null) {
+      return;
+    }
+    const [width, height] = getExportSize();
+    const baseName = fileName.replace(/\.[^.]*$/, '');
+    const writer = new ZipWriter();
+    const context = createReadbackContext(width, height);
+    try {
+      const isCompleted = await captureFrames('PNG', width, height, async (index, time, fps) => {
+        // Copy the frame before awaiting, since the drawing buffer may be cleared after that.
+        context.drawImage(canvas, 0, 0);
+        const blob = await new Promise(resolve => context.canvas.toBlob(resolve, 'image/png'));
+        writer.addFile(baseName + '_' + String(index).padStart(4, '0') + '.png', new Uint8Array(await blob.arrayBuffer()));
+      });
+      if (isCompleted) {
+        downloadBlob(writer.finalize(), fileName);
+      }
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  /**
+   * Render animation frame by frame at fixed timestep and encode it into WebM with WebCodecs.
+   * The size is that of the image size inputs, and the time range is that of the export inputs.
+   * @param {string} fileName File name to download.
+   */
+  async function downloadWebm(fileName) {
+    if (exportTask !== null) {
+      return;
+    }
+    if (typeof VideoEncoder === 'undefined') {
+      console.error('WebM (Offline) requires WebCodecs, which is not supported by this browser.');
+      return;
+    }
+    const {fps} = getExportTimeRange();
+    // Dimensions of chroma subsampled frames must be even.
+    const [width, height] = getExportSize().map(value => Math.max(value & ~1, 2));
+    let config = null;
+    for (const codec of ['vp09.00.10.08', 'vp8']) {
+      const candidate = {
+        codec: codec,
+        width: width,
+        height: height,
+        bitrate: Math.round(width * height * fps * 0.1),
+        framerate: fps
+      };
+      if ((await VideoEncoder.isConfigSupported(candidate)).supported) {
+        config = candidate;
+        break;
+      }
+    }
+    if (config === null) {
+      console.error('No WebM codec is supported for ' + width + 'x' + height + '.');
+      return;
+    }
+
+    const writer = new WebmWriter(config.codec, width, height, fps);
+    let error = null;
+    const encoder = new VideoEncoder({
+      output: chunk => writer.addChunk(chunk),
+      error: e => {
+        error = e;
+      }
+    });
+    encoder.configure(config);
+    const keyFrameInterval = Math.max(Math.round(fps * 2.0), 1);
+    try {
+      const isCompleted = await captureFrames('WebM', width, height, (index, time, fps) => {
+        if (error !== null) {
+          throw error;
+        }
+        const frame = new VideoFrame(canvas, {
+          timestamp: Math.round(index * 1000000.0 / fps),
+          duration: Math.round(1000000.0 / fps)
+        });
+        encoder.encode(frame, {keyFrame: index % keyFrameInterval === 0});
+        frame.close();
+      });
+      if (isCompleted) {
+        await encoder.flush();
+        if (error !== null) {
+          throw error;
+        }
+        downloadBlob(writer.finalize(), fileName);
+      }
+    } catch (e) {
+      console.error(e);
+    } finally {
+      if (encoder.state !== 'closed') {
+        encoder.close();
+      }
+    }
+  }
+
+  /**
+   * Record the canvas into WebM in real time with MediaRecorder.
+   * Recording starts at the start time of the export inputs at normal speed,
+   * and is finished after the duration, or by "Stop" button.
+   * The playback state is restored after recording.
+   * @param {string} fileName File name to download.
+   */
+  function recordWebm(fileName) {
+    if (exportTask !== null) {
+      return;
+    }
+    if (typeof MediaRecorder === 'undefined' || typeof canvas.captureStream !== 'function') {
+      console.error('WebM (Real Time) requires MediaRecorder, which is not supported by this browser.');
+      return;
+    }
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => MediaRecorder.isTypeSupported(type));
+    if (typeof mimeType === 'undefined') {
+      console.error('WebM is not supported by MediaRecorder of this browser.');
+      return;
+    }
+    const {start: startTime, duration, fps} = getExportTimeRange();
+
+    const stream = canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, {mimeType: mimeType});
+    const chunks = [];
+    const task = {
+      isCancelled: false,
+      stop: () => {
+        if (recorder.state !== 'inactive') {
+          recorder.stop();
+        }
+      }
+    };
+    exportTask = task;
+    const state = beginCapture();
+
+    const recordingStartTime = performance.now();
+    const timer = setInterval(() => {
+      const elapsed = (performance.now() - recordingStartTime) * 0.001;
+      if (elapsed >= duration) {
+        task.stop();
+      } else {
+        showExportProgress('Recording: ' + elapsed.toFixed(1) + 's', elapsed / duration);
+      }
+    }, 100);
+    recorder.addEventListener('dataavailable', e => chunks.push(e.data));
+    recorder.addEventListener('stop', () => {
+      clearInterval(timer);
+      stream.getTracks().forEach(track => track.stop());
+      exportTask = null;
+      hideExportProgress();
+      endCapture(state);
+      if (!task.isCancelled) {
+        downloadBlob(new Blob(chunks, {type: 'video/webm'}), fileName);
+      }
+    });
+
+    animator.rate = 1.0;
+    animator.fixedFrameRate = null;
+    animator.currentTime = startTime * 1000.0;
+    animator.frameCount = Math.round(startTime * fps);
+    recorder.start(1000);
+    showExportProgress('Recording: 0.0s', 0.0);
+    start();
+  }
+
   /**
    * Download canvas as image data at inputed size.
    * @param {string} fileName File name to donwload.
@@ -716,7 +2224,9 @@
       }
     }
 
-    const isGlsl = getFileType() === 'glsl';
+    // The shown shader may be loaded from a dropped PNG instead of the buffer.
+    const isGlsl = currentFileType === 'glsl';
+    const passes = isGlsl && renderer.passes.length > 1 ? renderer.passes : null;
     const htmlText = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -745,8 +2255,10 @@
 </script>
 <script id="fragment-shader" type="x-shader/x-fragment">${renderer.fragmentShaderSource}
 </script>
+${passes === null ? '' : `<script id="passes" type="application/json">${JSON.stringify(passes)}</script>
+`}
 <script>
-(${isGlsl ? '' : 'async '}function(global, doc) {
+(async function(global, doc) {
   'use strict';
 
   /**
@@ -757,6 +2269,10 @@
    * Class for calling functions at regular intervals.
    */
   ${Animator.toString()}
+  /**
+   * Class for tracking mouse, touch and pen input on the canvas.
+   */
+  ${PointerState.toString()}
   /**
    * Animator.
    * @type {Animator}
@@ -773,15 +2289,10 @@
    */
   const renderer = ${isGlsl ? 'new GlslQuadRenderer(canvas)' : 'await WgslQuadRenderer.create(canvas)'};
   /**
-   * Mouse move offset of X.
-   * @type {number}
-   */
-  let mx = 0.0;
-  /**
-   * Mouse move offset of Y.
-   * @type {number}
+   * State of pointer input on the canvas.
+   * @type {PointerState}
    */
-  let my = 0.0;
+  const pointerState = new PointerState(canvas);
 
   /**
    * Render created GLSL program.
@@ -792,10 +2303,32 @@
     const w = canvas.width;
     const h = canvas.height;
 
-    renderer.setUniforms(time, mx, my, w, h);
+    const mousePos = pointerState.normalizedPosition;
+    renderer.setUniforms(time, mousePos[0], mousePos[1], w, h, animator.frameCount);
+    renderer.setUniform('mouse', getMouseUniformValue(${JSON.stringify(currentTarget)}));
+    renderer.setUniform('mouseState', pointerState.mouse);
+    renderer.setUniform('mouseButtons', pointerState.buttons);
+    renderer.setUniform('wheel', pointerState.wheel);
+    renderer.setUniform('pointers', pointerState.pointers);
+    renderer.setUniform('pointerCount', pointerState.pointerCount);
+    renderer.setUniform('timeDelta', animator.timePerFrame * 0.001);
+    renderer.setUniform('date', getDateUniformValue());
+    renderer.setUniform('surfaceSize', [w / h, 1.0]);
+    renderer.setUniform('vertexSurfaceSize', [w / h, 1.0]);
     renderer.render(w, h);
+    pointerState.nextFrame();
   }
 
+  /**
+   * Get value of the mouse uniform variable in the unit of the target.
+   */
+  ${getMouseUniformValue.toString()}
+
+  /**
+   * Get value of the date uniform variable.
+   */
+  ${getDateUniformValue.toString()}
+
   /**
    * Resize canvas.
    */
@@ -807,14 +2340,14 @@
 
   /**
    * Measure time.
-   * @param {function} f Measure target action.
+   * @param {function} f Measure target action, which may be async.
    * @param {function(number)} onSuccess Callback function on success.
    * @param {function(number)} onFailure Callback function on failure.
    */
-  function measureTime(f, onSuccess, onFailure) {
+  async function measureTime(f, onSuccess, onFailure) {
     const startTime = performance.now();
     try {
-      f();
+      await f();
       const t1 = performance.now();
       onSuccess(performance.now() - startTime);
     } catch (e) {
@@ -856,18 +2389,14 @@
     }
   });
 
-  canvas.addEventListener('mousemove', e => {
-    mx = e.offsetX / (canvas.width);
-    my = (1.0 - e.offsetY / (canvas.height));
-  }, true);
-
-${isGlsl ? '  renderer.useBackBuffer = true;' : ''}
+${isGlsl ? `  renderer.useBackBuffer = true;
+  renderer.mrtCount = ${currentTarget.startsWith('twigl-') ? Twigl.getOutputCount(currentTarget.slice('twigl-'.length)) : 1};` : ''}
   try {
     const vsSource = doc.getElementById('vertex-shader').innerText;
     const fsSource = doc.getElementById('fragment-shader').innerText;
-    const uniformDict = ${JSON.stringify(getUniformDict(typeof getTarget === 'function' ? getTarget() : 'auto'))};
-    measureTime(
-      () => renderer.build(fsSource, vsSource${isGlsl ? ', uniformDict' : ''}),
+    const uniformDict = ${JSON.stringify(getUniformDict(currentTarget))};
+    await measureTime(
+      () => ${passes === null ? `renderer.build(fsSource, vsSource${isGlsl ? ', uniformDict' : ''})` : `renderer.buildMultipass(JSON.parse(doc.getElementById('passes').textContent), ${getVertexShaderSource(currentTarget) === null ? 'null' : 'vsSource'}, uniformDict)`},
       elapsed => console.log('Build success: ' + new Date() + ', elapsed: ' + elapsed.toFixed(3) + ' msec'),
       elapsed => console.error('Build failed: ' + new Date() + ', elapsed: ' + elapsed.toFixed(3) + ' msec'));
     resizeContent();
@@ -883,10 +2412,7 @@ ${isGlsl ? '  renderer.useBackBuffer = true;' : ''}
 </html>
 `;
 
-    const link = doc.createElement('a');
-    link.download = fileName;
-    link.href = URL.createObjectURL(new Blob([htmlText], {type: 'application/octet-stream'}));
-    link.click();
+    downloadBlob(new Blob([htmlText], {type: 'application/octet-stream'}), fileName);
   }
 
   /**
@@ -0,0 +1,36 @@
+/*!
+ * @brief Checker pattern in pixels, whose header comment precedes #version.
+ *
+ * Tiles of "PNG (Tiled)" must join seamlessly, and the shader must compile
+ * in the preview although the tile offset is injected after #version.
+ *
+ * @file Checker.glsl
+ * @version 0.1
+ */
+#version 300 es
+precision highp float;
+
+
+//! Elapsed seconds.
+uniform float u_time;
+//! Screen resolution.
+uniform vec2 u_resolution;
+
+//! Output color
+out vec4 FragColor;
+
+//! Size of a cell in pixels.
+const float kCellSize = 32.0;
+
+
+/*!
+ * @brief Entry point of this fragment shader program.
+ */
+void main(void)
+{
+    vec2 cell = floor(gl_FragCoord.xy / kCellSize);
+    float checker = mod(cell.x + cell.y, 2.0);
+    vec2 uv = gl_FragCoord.xy / u_resolution;
+    vec3 col = mix(vec3(uv, 0.5 + 0.5 * sin(u_time)), vec3(1.0), checker * 0.5);
+    FragColor = vec4(col, 1.0);
+}